@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const { runCli } = require("../src/cli");
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
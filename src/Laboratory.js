@@ -1,296 +1,3410 @@
+const {
+  InsufficientStockError,
+  OverdraftError,
+  CapacityExceededError,
+  RecipeSyntaxError,
+} = require("./errors");
+const {
+  LABORATORY_FORMAT,
+  LABORATORY_FORMAT_VERSION,
+  migrateLaboratoryData,
+} = require("./serialization");
+const { solveLinearProgram } = require("./simplex");
+const { renderGraph } = require("./graphExport");
+const { parseRecipes, formatRecipes } = require("./recipeDsl");
+const {
+  resolveUnit,
+  parseQuantityWithUnit,
+  convertQuantity,
+} = require("./units");
+const { createArithmetic } = require("./arithmetic");
+const { Rational } = require("./rational");
+
+const QUANTITY_TOLERANCE = 1e-9;
+const MAX_SEARCH_QUANTITY = 1e15;
+const SEARCH_ITERATIONS = 60;
+const MAX_SEARCH_SIMULATIONS = 16;
+const SEARCH_PROBE_MARGIN = 1e-6;
+const SPECTRAL_ITERATIONS = 20;
+const DEFAULT_RECIPE = "default";
+const RECIPE_STRATEGIES = new Set(["first", "cheapest", "maxYield"]);
+const REAGENT_ROLES = new Set(["reagent", "catalyst"]);
+const EXPORT_FORMATS = new Set(["number", "decimal", "fraction"]);
+const OVERFLOW_POLICIES = new Set(["reject", "clip"]);
+const LOT_POLICIES = new Set(["fifo", "fefo"]);
+const STORED_OPTIONS = [
+  "numeric",
+  "units",
+  "capacity",
+  "lotPolicy",
+  "lots",
+  "reservations",
+];
+
 class Laboratory {
-  constructor(knownSubstances, initialStock = {}, reactions = {}) {
+  constructor(
+    knownSubstances,
+    initialStock = {},
+    reactions = {},
+    options = {}
+  ) {
+    this.#assertPlainObject(
+      options,
+      "Laboratory options must be provided as an object literal"
+    );
+    this.#clock = this.#normalizeClock(options.clock);
+    this.#strict = Boolean(options.strict);
+    this.#math = createArithmetic(options.numeric);
+    this.#tolerance = this.#math.exact ? 0 : QUANTITY_TOLERANCE;
+    this.#lotPolicy = this.#normalizeLotPolicy(options.lotPolicy ?? "fifo");
+    this.#lots = new Map();
+    this.#lotRecords = new Map();
+    this.#lotSequence = 0;
+    this.#lotBatch = null;
+    this.#hiddenStock = null;
+    this.#reservations = new Map();
+    this.#journal = [];
+    this.#operations = [];
+    this.#history = [];
+    this.#redoStack = [];
+    this.#activeOperation = null;
+    this.#unitCosts = new Map();
+    this.#units = this.#buildUnits(options.units);
+
     this.#inventory = this.#buildBaseInventory(knownSubstances);
     this.#recipes = this.#buildRecipes(reactions);
+    this.#assertUnitsKnown();
+    this.#buildCapacities(options.capacity);
     this.#componentLookup = new Map();
     this.#components = [];
     this.#analyzeReactionGraph();
-    this.#applyInitialStock(initialStock);
+    if (this.#strict) {
+      this.#assertDiagnostics();
+    }
+    this.#assertSolvableComponents();
+    this.#runOperation("initial", {}, () =>
+      this.#applyInitialStock(initialStock)
+    );
+    if (options.lots !== undefined) {
+      this.#restoreLots(options.lots);
+    }
+    if (options.reservations !== undefined) {
+      this.#restoreReservations(options.reservations);
+    }
+    this.#assertWithinCapacity();
+    this.#definition = {
+      substances: structuredClone(knownSubstances),
+      reactions: Laboratory.#cloneDefinition(reactions),
+    };
   }
 
-  getQuantity(name) {
-    const normalizedName = this.#resolveKnownSubstance(name);
-    return this.#inventory.get(normalizedName);
+  addSubstance(name, options = {}) {
+    const normalizedName = this.#normalizeName(name);
+    if (!normalizedName) {
+      throw new TypeError(`Invalid substance name: ${String(name)}`);
+    }
+
+    if (this.#inventory.has(normalizedName)) {
+      throw new RangeError(`Duplicate substance name: ${normalizedName}`);
+    }
+
+    this.#assertPlainObject(
+      options,
+      "Substance options must be provided as an object literal"
+    );
+    if (options.unit !== undefined) {
+      this.#units.set(normalizedName, resolveUnit(options.unit));
+    }
+
+    this.#inventory.set(normalizedName, 0);
+    this.#definition.substances.push(name);
   }
 
-  add(name, quantity) {
+  removeSubstance(name) {
     const normalizedName = this.#resolveKnownSubstance(name);
-    const normalizedQuantity = this.#normalizeQuantity(quantity);
-    const updatedQuantity =
-      this.#inventory.get(normalizedName) + normalizedQuantity;
-    this.#inventory.set(normalizedName, updatedQuantity);
-    return updatedQuantity;
+    if (this.#recipes.has(normalizedName)) {
+      throw new RangeError(
+        `Cannot remove ${normalizedName}: it is produced by a reaction`
+      );
+    }
+
+    const quantity = this.#math.toNumber(this.#inventory.get(normalizedName));
+    if (quantity !== 0) {
+      throw new RangeError(
+        `Cannot remove ${normalizedName}: ${quantity} still in stock`
+      );
+    }
+
+    const consumer = this.#findReactionUsing(normalizedName);
+    if (consumer) {
+      throw new RangeError(
+        `Cannot remove ${normalizedName}: still used by the reaction for ${consumer}`
+      );
+    }
+
+    this.#inventory.delete(normalizedName);
+    this.#unitCosts.delete(normalizedName);
+    this.#units.delete(normalizedName);
+    this.#lots.delete(normalizedName);
+    [...this.#reservations.keys()].forEach((orderId) => {
+      this.#setReservation(orderId, normalizedName, 0);
+    });
+    this.#capacities = this.#capacities.filter((capacity) => {
+      capacity.members.delete(normalizedName);
+      return capacity.members.size > 0;
+    });
+    this.#definition.substances = this.#definition.substances.filter(
+      (substance) => this.#normalizeName(substance) !== normalizedName
+    );
   }
 
-  make(productName, desiredQuantity) {
+  addReaction(productName, definition) {
     const normalizedProduct = this.#normalizeName(productName);
     if (!normalizedProduct) {
-      throw new TypeError(`Invalid substance name: ${String(productName)}`);
+      throw new TypeError(
+        `Invalid product name in reactions: ${String(productName)}`
+      );
     }
 
-    const requestedQuantity = this.#normalizeQuantity(desiredQuantity);
-    if (requestedQuantity === 0) {
-      return 0;
+    const isNewSubstance = !this.#inventory.has(normalizedProduct);
+    if (isNewSubstance) {
+      this.#inventory.set(normalizedProduct, 0);
     }
 
-    if (!this.#recipes.has(normalizedProduct)) {
-      return 0;
+    try {
+      this.#replaceRecipes(
+        normalizedProduct,
+        this.#normalizeRecipes(definition, normalizedProduct)
+      );
+    } catch (error) {
+      if (isNewSubstance) {
+        this.#inventory.delete(normalizedProduct);
+      }
+      throw error;
     }
 
-    return this.#makeInternal(normalizedProduct, requestedQuantity, new Set());
+    const { substances, reactions } = this.#definition;
+    this.#definition.substances = substances.filter(
+      (substance) => this.#normalizeName(substance) !== normalizedProduct
+    );
+    const previousKey = this.#findReactionKey(normalizedProduct);
+    if (previousKey !== undefined) {
+      delete reactions[previousKey];
+    }
+    reactions[productName] = Laboratory.#cloneDefinition(definition);
   }
 
-  #inventory;
-  #recipes;
-  #components;
-  #componentLookup;
-
-  #buildBaseInventory(knownSubstances) {
-    if (!Array.isArray(knownSubstances)) {
-      throw new TypeError("Laboratory expects an array of known substances");
+  removeReaction(productName) {
+    const normalizedProduct = this.#normalizeName(productName);
+    if (!normalizedProduct) {
+      throw new TypeError(`Invalid product name: ${String(productName)}`);
     }
-    if (knownSubstances.length === 0) {
-      throw new RangeError("At least one substance must be provided");
+
+    if (!this.#recipes.has(normalizedProduct)) {
+      throw new ReferenceError(`Unknown reaction: ${normalizedProduct}`);
     }
 
-    const inventory = new Map();
+    this.#replaceRecipes(normalizedProduct, null);
+    const reactionKey = this.#findReactionKey(normalizedProduct);
+    delete this.#definition.reactions[reactionKey];
+    this.#definition.substances.push(reactionKey);
+  }
 
-    knownSubstances.forEach((name, index) => {
-      const normalizedName = this.#normalizeName(name);
-      if (!normalizedName) {
-        throw new TypeError(
-          `Invalid substance name at index ${index}: ${String(name)}`
-        );
+  static fromJSON(data, options = {}) {
+    let parsed = data;
+    if (typeof data === "string") {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        throw new TypeError(`Invalid laboratory JSON: ${error.message}`);
       }
+    }
 
-      if (inventory.has(normalizedName)) {
-        throw new RangeError(`Duplicate substance name: ${normalizedName}`);
+    const migrated = migrateLaboratoryData(parsed);
+    const storage = {};
+    STORED_OPTIONS.forEach((key) => {
+      if (migrated[key] !== undefined) {
+        storage[key] = migrated[key];
       }
-
-      inventory.set(normalizedName, 0);
     });
+    return new Laboratory(
+      migrated.substances,
+      migrated.inventory,
+      migrated.reactions,
+      { ...options, ...storage }
+    );
+  }
 
-    return inventory;
+  static fromRecipes(text, initialStock = {}, options = {}) {
+    const { substances, reactions, locations } = parseRecipes(text);
+    try {
+      return new Laboratory(substances, initialStock, reactions, options);
+    } catch (error) {
+      throw Laboratory.#locateRecipeError(
+        error,
+        substances,
+        reactions,
+        locations,
+        options
+      );
+    }
   }
 
-  #buildRecipes(reactions) {
-    this.#assertPlainObject(
-      reactions,
-      "Reactions must be provided as an object literal"
-    );
+  static #cloneDefinition(definition) {
+    return JSON.parse(JSON.stringify(definition));
+  }
 
-    const normalizedProducts = [];
-    const seenProducts = new Set();
-    for (const productName of Object.keys(reactions)) {
-      const normalizedProduct = this.#normalizeName(productName);
-      if (!normalizedProduct) {
-        throw new TypeError(
-          `Invalid product name in reactions: ${String(productName)}`
+  static #locateRecipeError(error, substances, reactions, locations, options) {
+    let scratch;
+    try {
+      scratch = new Laboratory(
+        substances,
+        {},
+        {},
+        { numeric: options?.numeric, units: options?.units }
+      );
+      Object.keys(reactions).forEach((product) => {
+        scratch.addSubstance(product);
+      });
+    } catch {
+      return error;
+    }
+
+    for (const [product, definition] of Object.entries(reactions)) {
+      try {
+        scratch.addReaction(product, definition);
+      } catch (reactionError) {
+        const { line, column } = locations[product];
+        const located = new reactionError.constructor(
+          `${reactionError.message} (line ${line}, column ${column})`
         );
+        located.line = line;
+        located.column = column;
+        return located;
       }
+    }
 
-      if (
-        this.#inventory.has(normalizedProduct) ||
-        seenProducts.has(normalizedProduct)
-      ) {
-        throw new RangeError(`Duplicate substance name: ${normalizedProduct}`);
-      }
+    return error;
+  }
 
-      seenProducts.add(normalizedProduct);
-      normalizedProducts.push({ original: productName, name: normalizedProduct });
-      this.#inventory.set(normalizedProduct, 0);
+  toRecipeText() {
+    const { substances, reactions } = this.toJSON();
+    return formatRecipes({ substances, reactions });
+  }
+
+  toJSON() {
+    const data = {
+      format: LABORATORY_FORMAT,
+      version: LABORATORY_FORMAT_VERSION,
+      substances: structuredClone(this.#definition.substances),
+      reactions: structuredClone(this.#definition.reactions),
+      inventory: Object.fromEntries(
+        [...this.#inventory].map(([substance, quantity]) => [
+          substance,
+          this.#math.serialize(quantity),
+        ])
+      ),
+      lots: [...this.#lotRecords.values()].map((record) =>
+        this.#serializeLot(record)
+      ),
+    };
+    if (this.#math.exact) {
+      data.numeric = "rational";
+    }
+    if (this.#lotPolicy !== "fifo") {
+      data.lotPolicy = this.#lotPolicy;
     }
+    if (this.#reservations.size > 0) {
+      data.reservations = this.#describeReservations(this.#math.serialize);
+    }
+    if (this.#units.size > 0) {
+      data.units = Object.fromEntries(
+        [...this.#units].map(([substance, { symbol }]) => [substance, symbol])
+      );
+    }
+    if (this.#capacities.length > 0) {
+      data.capacity = this.#describeCapacities();
+    }
+    return data;
+  }
 
-    const recipes = new Map();
-    normalizedProducts.forEach(({ original, name }) => {
-      recipes.set(name, this.#normalizeReagents(reactions[original], name));
-    });
+  getUnit(name) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    return this.#units.get(normalizedName)?.symbol ?? null;
+  }
 
-    return recipes;
+  getQuantity(name, unit) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    return this.#convertFromSubstanceUnit(
+      this.#inventory.get(normalizedName),
+      normalizedName,
+      unit
+    );
   }
 
-  #applyInitialStock(initialStock) {
-    this.#assertPlainObject(
-      initialStock,
-      "Initial stock must be provided as an object literal"
+  getStockLevels(name, unit) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    return {
+      onHand: this.#convertFromSubstanceUnit(
+        this.#inventory.get(normalizedName),
+        normalizedName,
+        unit
+      ),
+      reserved: this.#convertFromSubstanceUnit(
+        this.#reservedQuantity(normalizedName),
+        normalizedName,
+        unit
+      ),
+      available: this.#convertFromSubstanceUnit(
+        this.#freeQuantity(normalizedName),
+        normalizedName,
+        unit
+      ),
+    };
+  }
+
+  getReservations() {
+    return this.#describeReservations(this.#math.toNumber);
+  }
+
+  reserve(name, quantity, orderId) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    const normalizedQuantity = this.#normalizeQuantity(
+      quantity,
+      normalizedName
     );
+    const order = this.#normalizeIdentifier(orderId, "order id");
 
-    for (const [name, quantity] of Object.entries(initialStock)) {
-      const normalizedName = this.#normalizeName(name);
-      if (!normalizedName) {
-        throw new Error(
-          `Invalid substance name in initial stock: ${String(name)}`
+    const available = this.#freeQuantity(normalizedName);
+    if (this.#math.compare(normalizedQuantity, available) > 0) {
+      const requested = this.#math.toNumber(normalizedQuantity);
+      throw new InsufficientStockError(
+        normalizedName,
+        requested,
+        this.#math.toNumber(available),
+        `Cannot reserve ${requested} ${normalizedName} for ${order}: only ${this.#math.toNumber(
+          available
+        )} available`
+      );
+    }
+
+    return this.#runOperation(
+      "reserve",
+      {
+        substance: normalizedName,
+        quantity: this.#math.toNumber(normalizedQuantity),
+        orderId: order,
+      },
+      () => {
+        const reserved = this.#math.add(
+          this.#reservations.get(order)?.get(normalizedName) ?? 0,
+          normalizedQuantity
         );
+        this.#setReservation(order, normalizedName, reserved);
+        return this.#math.toNumber(reserved);
       }
+    );
+  }
 
-      if (!this.#inventory.has(normalizedName)) {
+  release(orderId, name) {
+    const order = this.#normalizeIdentifier(orderId, "order id");
+    const reservation = this.#requireReservation(order);
+    const substances =
+      name === undefined
+        ? [...reservation.keys()]
+        : [this.#resolveKnownSubstance(name)];
+    substances.forEach((substance) => {
+      if (!reservation.has(substance)) {
         throw new ReferenceError(
-          `Initial stock references unknown substance: ${normalizedName}`
+          `Order ${order} has no reservation of ${substance}`
         );
       }
+    });
 
-      this.#inventory.set(normalizedName, this.#normalizeQuantity(quantity));
-    }
+    return this.#runOperation("release", { orderId: order }, () => {
+      const released = {};
+      substances.forEach((substance) => {
+        released[substance] = this.#math.toNumber(reservation.get(substance));
+        this.#setReservation(order, substance, 0);
+      });
+      return released;
+    });
   }
 
-  #normalizeName(value) {
-    if (typeof value !== "string") {
-      return null;
-    }
+  fulfil(orderId) {
+    const order = this.#normalizeIdentifier(orderId, "order id");
+    const reservation = this.#requireReservation(order);
+    reservation.forEach((quantity, substance) => {
+      const usable = this.#usableQuantity(substance);
+      if (this.#math.compare(quantity, usable) > 0) {
+        throw new InsufficientStockError(
+          substance,
+          this.#math.toNumber(quantity),
+          this.#math.toNumber(usable),
+          `Cannot fulfil ${order}: only ${this.#math.toNumber(
+            usable
+          )} ${substance} is usable out of ${this.#math.toNumber(
+            quantity
+          )} reserved`
+        );
+      }
+    });
 
-    const normalizedValue = value.trim().toLowerCase();
-    return normalizedValue.length > 0 ? normalizedValue : null;
+    return this.#runOperation("fulfil", { orderId: order }, () => {
+      const fulfilled = {};
+      [...reservation].forEach(([substance, quantity]) => {
+        this.#setStock(
+          substance,
+          this.#math.subtract(this.#inventory.get(substance), quantity),
+          "fulfil",
+          { orderId: order }
+        );
+        this.#setReservation(order, substance, 0);
+        fulfilled[substance] = this.#math.toNumber(quantity);
+      });
+      return fulfilled;
+    });
   }
 
-  #normalizeQuantity(value) {
-    if (typeof value !== "number" || !Number.isFinite(value)) {
-      throw new TypeError(`Quantity must be a finite number: ${String(value)}`);
+  exportInventory(options = {}) {
+    this.#assertPlainObject(
+      options,
+      "Export options must be provided as an object literal"
+    );
+    const format = options.format ?? "number";
+    if (!EXPORT_FORMATS.has(format)) {
+      throw new RangeError(`Unknown export format: ${String(format)}`);
     }
 
-    if (value < 0) {
-      throw new RangeError(
-        `Quantity cannot be negative. Received: ${String(value)}`
-      );
+    return Object.fromEntries(
+      [...this.#inventory].map(([substance, quantity]) => {
+        if (format === "number") {
+          return [substance, this.#math.toNumber(quantity)];
+        }
+
+        const exact = Rational.from(quantity);
+        return [
+          substance,
+          format === "fraction"
+            ? exact.toFraction()
+            : exact.toDecimal(options.digits),
+        ];
+      })
+    );
+  }
+
+  getLots(name) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    const now = this.#currentTime();
+    return this.#consumptionOrder(normalizedName, true).map((record) => ({
+      ...this.#describeLot(record),
+      expired: this.#isExpired(record, now),
+    }));
+  }
+
+  traceLot(id) {
+    const record = this.#lotRecords.get(id);
+    if (!record) {
+      throw new ReferenceError(`Unknown lot: ${String(id)}`);
     }
 
-    return value;
+    return {
+      ...this.#describeLot(record),
+      parents: record.parents.map(({ lot, quantity }) => ({
+        quantity,
+        lot: this.traceLot(lot),
+      })),
+    };
   }
 
-  #normalizeReagents(reagents, productName) {
-    if (!Array.isArray(reagents) || reagents.length === 0) {
-      throw new TypeError(
-        `Reactions for ${productName} must be a non-empty array`
-      );
+  getFreeCapacity(name) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    const { scale } = this.#capacityScale(new Map([[normalizedName, 1]]));
+    return scale === null ? Infinity : this.#math.toNumber(scale);
+  }
+
+  add(name, quantity, options = {}) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    const requestedQuantity = this.#normalizeQuantity(quantity, normalizedName);
+    this.#assertPlainObject(
+      options,
+      "Add options must be provided as an object literal"
+    );
+    const overflow = this.#normalizeOverflowPolicy(
+      options.overflow ?? this.#overflowPolicy
+    );
+    const lot = this.#normalizeNewLot(options);
+
+    let normalizedQuantity = requestedQuantity;
+    const { scale: free, capacity } = this.#capacityScale(
+      new Map([[normalizedName, 1]])
+    );
+    if (free !== null && this.#isShortOf(free, requestedQuantity)) {
+      if (overflow === "reject") {
+        throw new CapacityExceededError(
+          normalizedName,
+          this.#math.toNumber(requestedQuantity),
+          this.#math.toNumber(free),
+          capacity
+        );
+      }
+      normalizedQuantity = free;
     }
 
-    return reagents.map((entry, index) => {
-      if (!Array.isArray(entry) || entry.length !== 2) {
-        throw new TypeError(
-          `Invalid reagent definition at index ${index} for ${productName}`
+    return this.#runOperation(
+      "add",
+      {
+        substance: normalizedName,
+        quantity: this.#math.toNumber(normalizedQuantity),
+      },
+      () => {
+        const updatedQuantity = this.#math.add(
+          this.#inventory.get(normalizedName),
+          normalizedQuantity
         );
+        this.#setStock(normalizedName, updatedQuantity, "add", {}, lot);
+        return this.#math.toNumber(updatedQuantity);
       }
+    );
+  }
 
-      const [quantity, substanceName] = entry;
-      const normalizedSubstance = this.#normalizeName(substanceName);
-      if (!normalizedSubstance) {
-        throw new TypeError(
-          `Invalid substance name in reaction for ${productName}: ${String(
-            substanceName
-          )}`
+  withdraw(name, quantity, options = {}) {
+    const normalizedName = this.#resolveKnownSubstance(name);
+    const normalizedQuantity = this.#normalizeQuantity(
+      quantity,
+      normalizedName
+    );
+    this.#assertPlainObject(
+      options,
+      "Withdrawal options must be provided as an object literal"
+    );
+    const reason = this.#normalizeReason(options.reason);
+    const order =
+      options.orderId === undefined
+        ? null
+        : this.#normalizeIdentifier(options.orderId, "order id");
+    const record =
+      options.lot === undefined
+        ? null
+        : this.#resolveLot(options.lot, normalizedName);
+    const fromExpiredLot =
+      record !== null && this.#isExpired(record, this.#currentTime());
+
+    const free = this.#freeQuantity(normalizedName, order);
+    let available = free;
+    if (record !== null) {
+      available = fromExpiredLot
+        ? record.remaining
+        : this.#math.min(record.remaining, free);
+    }
+    if (this.#math.compare(normalizedQuantity, available) > 0) {
+      throw new OverdraftError(
+        normalizedName,
+        this.#math.toNumber(normalizedQuantity),
+        this.#math.toNumber(available)
+      );
+    }
+
+    return this.#runOperation(
+      "withdraw",
+      {
+        substance: normalizedName,
+        quantity: this.#math.toNumber(normalizedQuantity),
+        reason,
+      },
+      () => {
+        const updatedQuantity = this.#math.subtract(
+          this.#inventory.get(normalizedName),
+          normalizedQuantity
+        );
+        this.#setStock(
+          normalizedName,
+          updatedQuantity,
+          "withdraw",
+          { reason },
+          { id: record?.id }
         );
+        const reserved = this.#reservations.get(order)?.get(normalizedName);
+        if (reserved !== undefined && !fromExpiredLot) {
+          this.#setReservation(
+            order,
+            normalizedName,
+            this.#math.max(0, this.#math.subtract(reserved, normalizedQuantity))
+          );
+        }
+        return this.#math.toNumber(updatedQuantity);
       }
+    );
+  }
 
-      if (!this.#inventory.has(normalizedSubstance)) {
-        throw new ReferenceError(
-          `Reaction references unknown substance: ${normalizedSubstance}`
+  getWithdrawals(filter = {}) {
+    this.#assertPlainObject(
+      filter,
+      "Withdrawal filter must be provided as an object literal"
+    );
+    const substance =
+      filter.substance === undefined
+        ? null
+        : this.#resolveKnownSubstance(filter.substance);
+    const reason =
+      filter.reason === undefined ? null : this.#normalizeReason(filter.reason);
+
+    return this.#appliedWithdrawals().filter(
+      (withdrawal) =>
+        (substance === null || withdrawal.substance === substance) &&
+        (reason === null || withdrawal.reason === reason)
+    );
+  }
+
+  summarizeWithdrawals() {
+    const summary = {};
+    this.#appliedWithdrawals().forEach(({ substance, quantity, reason }) => {
+      summary[reason] ??= {};
+      summary[reason][substance] = (summary[reason][substance] ?? 0) + quantity;
+    });
+    return summary;
+  }
+
+  make(productName, desiredQuantity, options = {}) {
+    const { product, quantity } = this.#normalizeProductRequest(
+      productName,
+      desiredQuantity
+    );
+    const settings = this.#normalizeMakeOptions(product, options);
+
+    const details = { product, quantity: this.#math.toNumber(quantity) };
+    return this.#runOperation("make", details, () => {
+      if (!settings.report) {
+        return this.#math.toNumber(
+          this.#produce(product, quantity, settings, null)
         );
       }
 
-      return {
-        substance: normalizedSubstance,
-        quantity: this.#normalizeQuantity(quantity),
-      };
+      const missing = this.#computeShortfall(
+        product,
+        quantity,
+        settings.orderId
+      );
+      const root = { intermediates: [] };
+      try {
+        const produced = this.#produce(product, quantity, settings, root);
+        return this.#buildReport(product, quantity, produced, root, missing);
+      } catch (error) {
+        if (error instanceof InsufficientStockError) {
+          error.report = this.#buildReport(
+            product,
+            quantity,
+            error.available,
+            root,
+            missing
+          );
+        }
+        throw error;
+      }
     });
   }
 
-  #resolveKnownSubstance(name) {
-    const normalizedName = this.#normalizeName(name);
-    if (!normalizedName) {
-      throw new TypeError(`Invalid substance name: ${String(name)}`);
+  undo() {
+    const entry = this.#history.pop();
+    if (!entry) {
+      return null;
     }
 
-    if (!this.#inventory.has(normalizedName)) {
-      throw new ReferenceError(`Unknown substance: ${normalizedName}`);
+    this.#restoreState(entry.before);
+    this.#redoStack.push(entry);
+    this.#recordOperation(
+      this.#openOperation("undo", { operationId: entry.operation.id }),
+      entry.movements.map((movement) => ({
+        ...movement,
+        type: "undo",
+        delta: -movement.delta,
+      }))
+    );
+    return this.#describeOperation(entry.operation);
+  }
+
+  redo() {
+    const entry = this.#redoStack.pop();
+    if (!entry) {
+      return null;
     }
 
-    return normalizedName;
+    this.#restoreState(entry.after);
+    this.#history.push(entry);
+    this.#recordOperation(
+      this.#openOperation("redo", { operationId: entry.operation.id }),
+      entry.movements.map((movement) => ({ ...movement, type: "redo" }))
+    );
+    return this.#describeOperation(entry.operation);
   }
 
-  #assertPlainObject(value, message) {
-    if (value === null || typeof value !== "object" || Array.isArray(value)) {
-      throw new TypeError(message);
-    }
+  getJournal() {
+    return this.#journal.map((movement) => ({
+      ...movement,
+      timestamp: new Date(movement.timestamp),
+    }));
   }
 
-  #makeInternal(productName, requestedQuantity, stack) {
-    const component = this.#componentLookup.get(productName);
+  getOperations() {
+    return this.#operations.map((operation) =>
+      this.#describeOperation(operation)
+    );
+  }
+
+  plan(productName, desiredQuantity, options = {}) {
+    const { product, quantity } = this.#normalizeProductRequest(
+      productName,
+      desiredQuantity
+    );
+    const settings = this.#normalizeMakeOptions(product, options);
+    const plan = {
+      product,
+      requested: this.#math.toNumber(quantity),
+      quantity: 0,
+      tree: null,
+      synthesized: {},
+      consumed: {},
+      changes: {},
+    };
+
+    const root = { intermediates: [] };
+    plan.quantity = this.#simulate((inventory) => {
+      const produced = this.#produce(
+        product,
+        quantity,
+        { ...settings, atomic: false },
+        root
+      );
+      this.#inventory.forEach((after, name) => {
+        const before = inventory.get(name);
+        if (this.#math.compare(after, before) !== 0) {
+          plan.changes[name] = {
+            before: this.#math.toNumber(before),
+            after: this.#math.toNumber(after),
+            delta: this.#math.toNumber(this.#math.subtract(after, before)),
+          };
+        }
+      });
+      return this.#math.toNumber(produced);
+    });
+
+    [plan.tree = null] = root.intermediates;
+    this.#summarizeTrace(plan.tree, plan);
+    return plan;
+  }
+
+  maxProducible(productName, options = {}) {
+    const product = this.#normalizeName(productName);
+    if (!product) {
+      throw new TypeError(`Invalid substance name: ${String(productName)}`);
+    }
+
+    const settings = this.#normalizeMakeOptions(product, options);
+    if (!this.#recipes.has(product)) {
+      return 0;
+    }
+
+    return this.#searchMaxProducible(product, settings);
+  }
+
+  maxProducibleAll(options = {}) {
+    this.#assertPlainObject(
+      options,
+      "Make options must be provided as an object literal"
+    );
+    const settings = this.#normalizeMakeOptions(null, {
+      strategy: options.strategy,
+    });
+
+    const result = {};
+    this.#recipes.forEach((_, product) => {
+      result[product] = this.#searchMaxProducible(product, settings);
+    });
+    return result;
+  }
+
+  planProcurement(order) {
+    const orders = this.#normalizeOrder(order);
+    const procurement = {
+      order: Object.fromEntries(orders),
+      required: {},
+      available: {},
+      deficits: {},
+      lines: {},
+    };
+
+    const allocation = { stock: new Map(), catalysts: new Map() };
+    orders.forEach((quantity, product) => {
+      const required = this.#expandBaseRequirements(
+        new Map([[product, quantity]]),
+        null,
+        allocation
+      );
+      procurement.lines[product] = {
+        quantity,
+        required: Object.fromEntries(required),
+      };
+      required.forEach((amount, substance) => {
+        procurement.required[substance] =
+          (procurement.required[substance] ?? 0) + amount;
+      });
+    });
+
+    Object.entries(procurement.required).forEach(([substance, required]) => {
+      const available = this.#math.toNumber(this.#freeQuantity(substance));
+      procurement.available[substance] = available;
+      if (required - available > required * QUANTITY_TOLERANCE) {
+        procurement.deficits[substance] = required - available;
+      }
+    });
+    return procurement;
+  }
+
+  setUnitCosts(costs) {
+    this.#assertPlainObject(
+      costs,
+      "Unit costs must be provided as an object literal"
+    );
+
+    const normalizedCosts = Object.entries(costs).map(([name, cost]) => {
+      const substance = this.#resolveKnownSubstance(name);
+      if (this.#recipes.has(substance)) {
+        throw new RangeError(
+          `Unit cost of ${substance} is derived from its reactions`
+        );
+      }
+
+      return [
+        substance,
+        this.#normalizeCost(cost, `unit cost of ${substance}`),
+      ];
+    });
+    normalizedCosts.forEach(([substance, cost]) => {
+      this.#unitCosts.set(substance, cost);
+    });
+  }
+
+  getUnitCosts() {
+    return Object.fromEntries(
+      [
+        ...this.#rollUpCosts(
+          (substance) => this.#unitCosts.get(substance) ?? 0,
+          { processing: true }
+        ),
+      ].map(([substance, cost]) => [
+        substance,
+        Number.isFinite(cost) ? cost : null,
+      ])
+    );
+  }
+
+  valuateInventory() {
+    const costs = this.getUnitCosts();
+    const valuation = { substances: {}, total: 0 };
+    this.#inventory.forEach((stock, substance) => {
+      const quantity = this.#math.toNumber(stock);
+      const unitCost = costs[substance];
+      const value = unitCost === null ? null : quantity * unitCost;
+      valuation.substances[substance] = { quantity, unitCost, value };
+      valuation.total += value ?? 0;
+    });
+    return valuation;
+  }
+
+  getReactionGraph() {
+    const graph = { substances: [], reactions: [], cycles: [] };
+    this.#inventory.forEach((quantity, name) => {
+      graph.substances.push({
+        name,
+        type: this.#recipes.has(name) ? "product" : "base",
+        quantity: this.#math.toNumber(quantity),
+      });
+    });
+
+    this.#recipes.forEach((recipes, product) => {
+      recipes.forEach((recipe) => {
+        const runYield = recipe.yield * recipe.efficiency;
+        graph.reactions.push({
+          product,
+          recipe: recipe.name,
+          efficiency: recipe.efficiency,
+          reagents: [
+            ...recipe.reagents.map(({ substance, quantity }) => ({
+              substance,
+              quantity: quantity * runYield,
+              role: "reagent",
+            })),
+            ...recipe.catalysts.map(({ substance, quantity }) => ({
+              substance,
+              quantity: this.#math.toNumber(quantity),
+              role: "catalyst",
+            })),
+          ],
+          outputs: [
+            { substance: product, quantity: this.#math.toNumber(recipe.yield) },
+            ...recipe.byproducts.map(({ substance, quantity }) => ({
+              substance,
+              quantity: quantity * recipe.yield,
+            })),
+          ],
+        });
+      });
+    });
+
+    this.#components.forEach((component) => {
+      if (component.isCyclic) {
+        graph.cycles.push([...component.products]);
+      }
+    });
+    return graph;
+  }
+
+  exportGraph(format = "dot") {
+    return renderGraph(this.getReactionGraph(), format);
+  }
+
+  diagnose() {
+    const diagnostics = [];
+    const consumed = new Set();
+
+    this.#recipes.forEach((recipes, product) => {
+      recipes.forEach((recipe) => {
+        const reaction = `${product}/${recipe.name}`;
+        [
+          ...recipe.reagents.map((reagent) => ({
+            ...reagent,
+            role: "reagent",
+          })),
+          ...recipe.catalysts.map((catalyst) => ({
+            ...catalyst,
+            role: "catalyst",
+          })),
+        ].forEach(({ substance, quantity: exactQuantity, role }) => {
+          const quantity = this.#math.toNumber(exactQuantity);
+          consumed.add(substance);
+          if (quantity === 0) {
+            diagnostics.push({
+              code: "zero-quantity-reagent",
+              severity: "warning",
+              product,
+              recipe: recipe.name,
+              substance,
+              message: `Reaction ${reaction} lists ${role} ${substance} with a zero quantity, so it is never ${
+                role === "catalyst" ? "required" : "consumed"
+              }`,
+            });
+          } else if (substance === product) {
+            diagnostics.push({
+              code: "self-loop",
+              severity: "warning",
+              product,
+              recipe: recipe.name,
+              substance,
+              message:
+                role === "catalyst"
+                  ? `Reaction ${reaction} requires ${quantity} of its own product as a catalyst, so ${product} must already be in stock to make more`
+                  : `Reaction ${reaction} consumes ${quantity} of its own product per unit produced`,
+            });
+          }
+        });
+      });
+    });
+
+    const nonProductive = new Set();
+    this.#components.forEach((component) => {
+      if (!component.isCyclic) {
+        return;
+      }
+
+      this.#componentSelections(component).forEach(({ selection, recipe }) => {
+        const radius = this.#spectralRadius(
+          this.#componentDependencyMatrix(component, selection)
+        );
+        if (radius < 1) {
+          return;
+        }
+
+        if (!recipe) {
+          nonProductive.add(component);
+        }
+        const cycle = component.products.join(", ");
+        diagnostics.push({
+          code: "non-productive-cycle",
+          severity: "error",
+          products: [...component.products],
+          recipe: recipe ? `${recipe.product}/${recipe.name}` : null,
+          spectralRadius: radius,
+          message: `Cycle ${cycle}${
+            recipe ? ` using ${recipe.product}/${recipe.name}` : ""
+          } consumes at least as much as it yields (spectral radius ${Number(
+            radius.toPrecision(6)
+          )} >= 1), so it cannot produce positive quantities`,
+        });
+      });
+    });
+
+    this.#findUnreachableProducts(nonProductive).forEach((cause, product) => {
+      diagnostics.push({
+        code: "unreachable-product",
+        severity: "error",
+        product,
+        message: `${product} can never be made from base substances: ${cause}`,
+      });
+    });
+
+    this.#inventory.forEach((_, substance) => {
+      if (!this.#recipes.has(substance) && !consumed.has(substance)) {
+        diagnostics.push({
+          code: "unused-base-substance",
+          severity: "warning",
+          substance,
+          message: `${substance} is a base substance that no reaction consumes or requires`,
+        });
+      }
+    });
+
+    return diagnostics;
+  }
+
+  optimize(targets, options = {}) {
+    const goals = this.#normalizeTargets(targets);
+    this.#assertPlainObject(
+      options,
+      "Optimization options must be provided as an object literal"
+    );
+
+    const { activities, result } = this.#withoutUnavailableStock(() => {
+      const available = this.#listProductionActivities();
+      return {
+        activities: available,
+        result: solveLinearProgram(
+          this.#buildProductionProgram(available, goals)
+        ),
+      };
+    });
+    if (result.status === "infeasible") {
+      throw new RangeError(
+        "No production mix satisfies the requested minimum quantities"
+      );
+    }
+
+    if (result.status === "unbounded") {
+      throw new RangeError(
+        "Production value is unbounded: set a maximum quantity for free products"
+      );
+    }
+
+    const optimization = {
+      value: result.value,
+      quantities: {},
+      runs: [],
+      changes: {},
+      executed: false,
+    };
+    [...goals.keys()].forEach((product, index) => {
+      optimization.quantities[product] =
+        result.solution[activities.length + index];
+    });
+
+    const deltas = new Map();
+    const accumulate = (substance, amount) => {
+      deltas.set(substance, (deltas.get(substance) ?? 0) + amount);
+    };
+    activities.forEach(({ product, recipe }, index) => {
+      const quantity = result.solution[index];
+      if (quantity <= 0) {
+        return;
+      }
+
+      optimization.runs.push({ product, recipe: recipe.name, quantity });
+      recipe.reagents.forEach((reagent) => {
+        accumulate(reagent.substance, -reagent.quantity * quantity);
+      });
+      accumulate(product, quantity);
+      recipe.byproducts.forEach((byproduct) => {
+        accumulate(byproduct.substance, byproduct.quantity * quantity);
+      });
+    });
+    deltas.forEach((delta, substance) => {
+      const before = this.#math.toNumber(this.#inventory.get(substance));
+      const after = Math.max(0, before + delta);
+      if (after !== before) {
+        optimization.changes[substance] = {
+          before,
+          after,
+          delta: after - before,
+        };
+      }
+    });
+
+    if (options.execute) {
+      this.#runOperation(
+        "optimize",
+        { quantities: { ...optimization.quantities } },
+        () =>
+          this.#withoutUnavailableStock(() =>
+            this.#executeProductionRuns(optimization.runs)
+          )
+      );
+      optimization.executed = true;
+    }
+
+    return optimization;
+  }
+
+  #inventory;
+  #recipes;
+  #components;
+  #componentLookup;
+  #definition;
+  #clock;
+  #strict;
+  #journal;
+  #operations;
+  #history;
+  #redoStack;
+  #activeOperation;
+  #unitCosts;
+  #units;
+  #capacities;
+  #overflowPolicy;
+  #math;
+  #tolerance;
+  #lots;
+  #lotRecords;
+  #lotSequence;
+  #lotPolicy;
+  #lotBatch;
+  #hiddenStock;
+  #reservations;
+
+  #normalizeClock(clock) {
+    if (clock === undefined) {
+      return () => new Date();
+    }
+
+    if (typeof clock !== "function") {
+      throw new TypeError("Laboratory clock must be a function");
+    }
+
+    return clock;
+  }
+
+  #runOperation(type, details, callback) {
+    const operation = this.#openOperation(type, details);
+    const before = this.#captureState();
+    this.#activeOperation = {
+      operation,
+      movements: [],
+      reservationsChanged: false,
+    };
+    try {
+      const result = callback();
+      const { movements, reservationsChanged } = this.#activeOperation;
+      if (movements.length > 0 || reservationsChanged) {
+        this.#recordOperation(operation, movements);
+        if (type !== "initial") {
+          this.#history.push({
+            operation,
+            movements,
+            before,
+            after: this.#captureState(),
+          });
+          this.#redoStack = [];
+        }
+      }
+      return result;
+    } catch (error) {
+      this.#restoreState(before);
+      throw error;
+    } finally {
+      this.#activeOperation = null;
+    }
+  }
+
+  #openOperation(type, details) {
+    return {
+      id: null,
+      type,
+      details,
+      timestamp: new Date(this.#clock()),
+    };
+  }
+
+  #recordOperation(operation, movements) {
+    operation.id = this.#operations.length + 1;
+    this.#operations.push(operation);
+    movements.forEach((movement) => {
+      this.#journal.push({
+        ...movement,
+        sequence: this.#journal.length + 1,
+        operationId: operation.id,
+        timestamp: operation.timestamp,
+      });
+    });
+  }
+
+  #describeOperation(operation) {
+    return {
+      id: operation.id,
+      type: operation.type,
+      details: { ...operation.details },
+      timestamp: new Date(operation.timestamp),
+    };
+  }
+
+  #setStock(substance, quantity, type, details = {}, lot = {}) {
+    const delta = this.#math.subtract(quantity, this.#inventory.get(substance));
+    this.#inventory.set(substance, quantity);
+    if (this.#activeOperation && !this.#math.isZero(delta)) {
+      if (this.#math.compare(delta, 0) > 0) {
+        this.#receiveLot(substance, delta, lot);
+      } else {
+        this.#consumeLots(substance, this.#math.subtract(0, delta), lot.id);
+      }
+      this.#activeOperation.movements.push({
+        type,
+        substance,
+        delta: this.#math.toNumber(delta),
+        ...details,
+      });
+    }
+  }
+
+  #captureState() {
+    return {
+      inventory: new Map(this.#inventory),
+      lots: [...this.#lotRecords.values()].map((record) => ({ ...record })),
+      reservations: this.#copyReservations(this.#reservations),
+    };
+  }
+
+  #restoreState(state) {
+    this.#inventory.forEach((_, substance) => {
+      this.#inventory.set(substance, state.inventory.get(substance) ?? 0);
+    });
+    this.#loadLots(state.lots.map((record) => ({ ...record })));
+    this.#reservations = this.#copyReservations(state.reservations);
+  }
+
+  #loadLots(records) {
+    this.#lotRecords = new Map(records.map((record) => [record.id, record]));
+    this.#lots = new Map();
+    records.forEach((record) => {
+      if (
+        this.#inventory.has(record.substance) &&
+        this.#math.compare(record.remaining, 0) > 0
+      ) {
+        this.#activeLots(record.substance).push(record);
+      }
+    });
+  }
+
+  #activeLots(substance) {
+    if (!this.#lots.has(substance)) {
+      this.#lots.set(substance, []);
+    }
+
+    return this.#lots.get(substance);
+  }
+
+  #receiveLot(substance, quantity, lot) {
+    const record = {
+      id: lot.id ?? this.#generateLotId(substance),
+      substance,
+      quantity,
+      remaining: quantity,
+      receivedAt:
+        lot.receivedAt ?? new Date(this.#activeOperation.operation.timestamp),
+      expiresAt: lot.expiresAt ?? null,
+      parents: [],
+    };
+    this.#lotRecords.set(record.id, record);
+    this.#activeLots(substance).push(record);
+    this.#lotBatch?.produced.push(record);
+  }
+
+  #consumeLots(substance, quantity, lotId) {
+    const candidates =
+      lotId === undefined
+        ? this.#consumptionOrder(substance, false)
+        : [this.#lotRecords.get(lotId)];
+    let outstanding = quantity;
+    candidates.forEach((record) => {
+      if (!this.#isPositive(outstanding)) {
+        return;
+      }
+
+      const taken = this.#math.min(record.remaining, outstanding);
+      record.remaining = this.#math.subtract(record.remaining, taken);
+      outstanding = this.#math.subtract(outstanding, taken);
+      if (this.#lotBatch) {
+        const parent = this.#lotBatch.consumed.get(record.id);
+        this.#lotBatch.consumed.set(record.id, {
+          lot: record.id,
+          substance,
+          quantity: this.#math.add(parent?.quantity ?? 0, taken),
+        });
+      }
+    });
+
+    this.#lots.set(
+      substance,
+      this.#activeLots(substance).filter(
+        (record) =>
+          this.#math.compare(
+            record.remaining,
+            this.#math.multiply(record.quantity, this.#tolerance)
+          ) > 0
+      )
+    );
+  }
+
+  #consumptionOrder(substance, includeExpired) {
+    const now = this.#currentTime();
+    const receivedAt = (record) => record.receivedAt?.getTime() ?? -Infinity;
+    const expiresAt = (record) => record.expiresAt?.getTime() ?? Infinity;
+    return this.#activeLots(substance)
+      .filter((record) => includeExpired || !this.#isExpired(record, now))
+      .sort(
+        (left, right) =>
+          (this.#lotPolicy === "fefo"
+            ? Math.sign(expiresAt(left) - expiresAt(right))
+            : 0) || Math.sign(receivedAt(left) - receivedAt(right))
+      );
+  }
+
+  #currentTime() {
+    return this.#activeOperation
+      ? this.#activeOperation.operation.timestamp
+      : new Date(this.#clock());
+  }
+
+  #isExpired(record, now) {
+    return record.expiresAt !== null && record.expiresAt <= now;
+  }
+
+  #usableQuantity(substance, now = this.#currentTime()) {
+    return this.#activeLots(substance).reduce(
+      (usable, record) =>
+        this.#isExpired(record, now)
+          ? this.#math.subtract(usable, record.remaining)
+          : usable,
+      this.#inventory.get(substance)
+    );
+  }
+
+  #reservedQuantity(substance, exceptOrderId = null) {
+    let reserved = 0;
+    this.#reservations.forEach((reservation, orderId) => {
+      if (orderId !== exceptOrderId && reservation.has(substance)) {
+        reserved = this.#math.add(reserved, reservation.get(substance));
+      }
+    });
+    return reserved;
+  }
+
+  #freeQuantity(substance, orderId = null, now = this.#currentTime()) {
+    return this.#math.max(
+      0,
+      this.#math.subtract(
+        this.#usableQuantity(substance, now),
+        this.#reservedQuantity(substance, orderId)
+      )
+    );
+  }
+
+  #setReservation(orderId, substance, quantity) {
+    const reservation = this.#reservations.get(orderId) ?? new Map();
+    if (this.#isPositive(this.#math.snap(quantity))) {
+      reservation.set(substance, quantity);
+    } else if (reservation.has(substance)) {
+      reservation.delete(substance);
+    } else {
+      return;
+    }
+
+    if (reservation.size > 0) {
+      this.#reservations.set(orderId, reservation);
+    } else {
+      this.#reservations.delete(orderId);
+    }
+    if (this.#activeOperation) {
+      this.#activeOperation.reservationsChanged = true;
+    }
+  }
+
+  #requireReservation(orderId) {
+    const reservation = this.#reservations.get(orderId);
+    if (!reservation) {
+      throw new ReferenceError(`No reservation for order: ${orderId}`);
+    }
+
+    return reservation;
+  }
+
+  #describeReservations(convert) {
+    return Object.fromEntries(
+      [...this.#reservations].map(([orderId, reservation]) => [
+        orderId,
+        Object.fromEntries(
+          [...reservation].map(([substance, quantity]) => [
+            substance,
+            convert(quantity),
+          ])
+        ),
+      ])
+    );
+  }
+
+  #copyReservations(reservations) {
+    return new Map(
+      [...reservations].map(([orderId, reservation]) => [
+        orderId,
+        new Map(reservation),
+      ])
+    );
+  }
+
+  #restoreReservations(reservations) {
+    this.#assertPlainObject(
+      reservations,
+      "Reservations must be provided as an object literal"
+    );
+
+    Object.entries(reservations).forEach(([orderId, reservation]) => {
+      const order = this.#normalizeIdentifier(orderId, "order id");
+      this.#assertPlainObject(
+        reservation,
+        `Reservation for ${order} must be provided as an object literal`
+      );
+      Object.entries(reservation).forEach(([name, quantity]) => {
+        const substance = this.#resolveKnownSubstance(name);
+        this.#setReservation(
+          order,
+          substance,
+          this.#math.add(
+            this.#reservations.get(order)?.get(substance) ?? 0,
+            this.#normalizeQuantity(quantity, substance)
+          )
+        );
+      });
+    });
+
+    this.#inventory.forEach((quantity, substance) => {
+      const reserved = this.#reservedQuantity(substance);
+      if (this.#isShortOf(quantity, reserved)) {
+        throw new RangeError(
+          `Reservations of ${substance} exceed the stock: ${this.#math.toNumber(
+            reserved
+          )} > ${this.#math.toNumber(quantity)}`
+        );
+      }
+    });
+  }
+
+  #withoutUnavailableStock(callback, orderId = null) {
+    if (this.#hiddenStock !== null) {
+      return callback();
+    }
+
+    const hidden = new Map();
+    const now = this.#currentTime();
+    this.#inventory.forEach((quantity, substance) => {
+      const unavailable = this.#math.subtract(
+        quantity,
+        this.#freeQuantity(substance, orderId, now)
+      );
+      if (this.#math.compare(unavailable, 0) > 0) {
+        hidden.set(substance, unavailable);
+        this.#inventory.set(
+          substance,
+          this.#math.subtract(quantity, unavailable)
+        );
+      }
+    });
+    const visible = new Map(this.#inventory);
+    this.#hiddenStock = hidden;
+    try {
+      const result = callback();
+      if (orderId !== null && this.#activeOperation) {
+        this.#drawDownReservation(orderId, visible);
+      }
+      return result;
+    } finally {
+      this.#hiddenStock = null;
+      hidden.forEach((quantity, substance) => {
+        this.#inventory.set(
+          substance,
+          this.#math.add(this.#inventory.get(substance), quantity)
+        );
+      });
+    }
+  }
+
+  #drawDownReservation(orderId, before) {
+    this.#reservations.get(orderId)?.forEach((reserved, substance) => {
+      const consumed = this.#math.subtract(
+        before.get(substance),
+        this.#inventory.get(substance)
+      );
+      if (this.#math.compare(consumed, 0) > 0) {
+        this.#setReservation(
+          orderId,
+          substance,
+          this.#math.max(0, this.#math.subtract(reserved, consumed))
+        );
+      }
+    });
+  }
+
+  #traceLineage(callback) {
+    const outer = this.#lotBatch;
+    const batch = { consumed: new Map(), produced: [] };
+    this.#lotBatch = batch;
+    try {
+      const result = callback();
+      const produced = new Set(batch.produced.map(({ id }) => id));
+      const parents = [...batch.consumed.values()]
+        .filter(({ lot }) => !produced.has(lot))
+        .map((parent) => ({
+          ...parent,
+          quantity: this.#math.toNumber(parent.quantity),
+        }));
+      batch.produced.forEach((record) => {
+        record.parents = parents.map((parent) => ({ ...parent }));
+      });
+      return result;
+    } finally {
+      this.#lotBatch = outer;
+    }
+  }
+
+  #generateLotId(substance) {
+    let id;
+    do {
+      this.#lotSequence += 1;
+      id = `${substance}-${this.#lotSequence}`;
+    } while (this.#lotRecords.has(id));
+    return id;
+  }
+
+  #describeLot(record) {
+    return {
+      id: record.id,
+      substance: record.substance,
+      quantity: this.#math.toNumber(record.quantity),
+      remaining: this.#math.toNumber(record.remaining),
+      receivedAt: record.receivedAt && new Date(record.receivedAt),
+      expiresAt: record.expiresAt && new Date(record.expiresAt),
+      parents: record.parents.map((parent) => ({ ...parent })),
+    };
+  }
+
+  #serializeLot(record) {
+    return {
+      id: record.id,
+      substance: record.substance,
+      quantity: this.#math.serialize(record.quantity),
+      remaining: this.#math.serialize(record.remaining),
+      receivedAt: record.receivedAt && record.receivedAt.toISOString(),
+      expiresAt: record.expiresAt && record.expiresAt.toISOString(),
+      parents: record.parents.map((parent) => ({ ...parent })),
+    };
+  }
+
+  #restoreLots(lots) {
+    if (!Array.isArray(lots)) {
+      throw new TypeError("Lots must be provided as an array");
+    }
+
+    const records = new Map();
+    lots.forEach((lot) => {
+      this.#assertPlainObject(
+        lot,
+        "Each lot must be provided as an object literal"
+      );
+      const id = this.#normalizeIdentifier(lot.id, "lot id");
+      if (records.has(id)) {
+        throw new RangeError(`Duplicate lot id: ${id}`);
+      }
+
+      const substance = this.#normalizeName(lot.substance);
+      if (!substance) {
+        throw new TypeError(
+          `Invalid substance name for lot ${id}: ${String(lot.substance)}`
+        );
+      }
+
+      const quantity = this.#normalizeQuantity(lot.quantity);
+      const remaining = this.#normalizeQuantity(lot.remaining ?? lot.quantity);
+      if (this.#isPositive(remaining) && !this.#inventory.has(substance)) {
+        throw new ReferenceError(
+          `Lot ${id} references unknown substance: ${substance}`
+        );
+      }
+
+      if (!Array.isArray(lot.parents ?? [])) {
+        throw new TypeError(`Parents of lot ${id} must be an array`);
+      }
+
+      records.set(id, {
+        id,
+        substance,
+        quantity,
+        remaining,
+        receivedAt: this.#normalizeOptionalDate(lot.receivedAt, "receivedAt"),
+        expiresAt: this.#normalizeOptionalDate(lot.expiresAt, "expiresAt"),
+        parents: (lot.parents ?? []).map((parent) => ({
+          lot: parent?.lot,
+          substance: parent?.substance,
+          quantity: parent?.quantity,
+        })),
+      });
+    });
+
+    records.forEach((record) => {
+      record.parents.forEach((parent) => {
+        if (!records.has(parent.lot)) {
+          throw new ReferenceError(
+            `Lot ${record.id} references unknown parent lot: ${String(
+              parent.lot
+            )}`
+          );
+        }
+      });
+    });
+
+    this.#loadLots([...records.values()]);
+    this.#inventory.forEach((quantity, substance) => {
+      const held = this.#activeLots(substance).reduce(
+        (total, record) => this.#math.add(total, record.remaining),
+        0
+      );
+      if (this.#isShortOf(held, quantity) || this.#isShortOf(quantity, held)) {
+        throw new RangeError(
+          `Lots of ${substance} hold ${this.#math.toNumber(
+            held
+          )} but the inventory holds ${this.#math.toNumber(quantity)}`
+        );
+      }
+    });
+  }
+
+  #resolveLot(id, substance) {
+    const record = this.#lotRecords.get(id);
+    if (
+      !record ||
+      record.substance !== substance ||
+      !this.#activeLots(substance).includes(record)
+    ) {
+      throw new ReferenceError(
+        `No lot ${String(id)} of ${substance} is in stock`
+      );
+    }
+
+    return record;
+  }
+
+  #normalizeNewLot(options) {
+    const lot = {
+      receivedAt: this.#normalizeOptionalDate(options.receivedAt, "receivedAt"),
+      expiresAt: this.#normalizeOptionalDate(options.expiresAt, "expiresAt"),
+    };
+    if (options.lot !== undefined) {
+      lot.id = this.#normalizeIdentifier(options.lot, "lot id");
+      if (this.#lotRecords.has(lot.id)) {
+        throw new RangeError(`Duplicate lot id: ${lot.id}`);
+      }
+    }
+
+    return lot;
+  }
+
+  #normalizeIdentifier(id, label) {
+    if (typeof id !== "string" || id.trim() === "") {
+      throw new TypeError(`Invalid ${label}: ${String(id)}`);
+    }
+
+    return id.trim();
+  }
+
+  #normalizeOptionalDate(value, label) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const date =
+      value instanceof Date || typeof value === "string"
+        ? new Date(value)
+        : new Date(NaN);
+    if (Number.isNaN(date.getTime())) {
+      throw new TypeError(`Invalid ${label} date: ${String(value)}`);
+    }
+
+    return date;
+  }
+
+  #normalizeLotPolicy(policy) {
+    if (!LOT_POLICIES.has(policy)) {
+      throw new RangeError(`Unknown lot policy: ${String(policy)}`);
+    }
+
+    return policy;
+  }
+
+  #replaceRecipes(productName, recipes) {
+    const previous = this.#recipes.get(productName);
+    if (recipes) {
+      this.#recipes.set(productName, recipes);
+    } else {
+      this.#recipes.delete(productName);
+    }
+
+    try {
+      this.#analyzeReactionGraph();
+      if (this.#strict) {
+        this.#assertDiagnostics();
+      }
+      this.#assertSolvableComponents();
+    } catch (error) {
+      if (previous) {
+        this.#recipes.set(productName, previous);
+      } else {
+        this.#recipes.delete(productName);
+      }
+      this.#analyzeReactionGraph();
+      throw error;
+    }
+  }
+
+  #findReactionUsing(substanceName) {
+    for (const [product, recipes] of this.#recipes) {
+      const usesSubstance = recipes.some((recipe) =>
+        [...recipe.reagents, ...recipe.catalysts, ...recipe.byproducts].some(
+          (entry) => entry.substance === substanceName
+        )
+      );
+      if (usesSubstance) {
+        return product;
+      }
+    }
+
+    return null;
+  }
+
+  #findReactionKey(productName) {
+    return Object.keys(this.#definition.reactions).find(
+      (key) => this.#normalizeName(key) === productName
+    );
+  }
+
+  #appliedWithdrawals() {
+    return this.#history.flatMap(({ movements }) =>
+      movements
+        .filter((movement) => movement.type === "withdraw")
+        .map(({ substance, delta, reason }) => ({
+          substance,
+          quantity: -delta,
+          reason,
+        }))
+    );
+  }
+
+  #buildBaseInventory(knownSubstances) {
+    if (!Array.isArray(knownSubstances)) {
+      throw new TypeError("Laboratory expects an array of known substances");
+    }
+    if (knownSubstances.length === 0) {
+      throw new RangeError("At least one substance must be provided");
+    }
+
+    const inventory = new Map();
+
+    knownSubstances.forEach((name, index) => {
+      const normalizedName = this.#normalizeName(name);
+      if (!normalizedName) {
+        throw new TypeError(
+          `Invalid substance name at index ${index}: ${String(name)}`
+        );
+      }
+
+      if (inventory.has(normalizedName)) {
+        throw new RangeError(`Duplicate substance name: ${normalizedName}`);
+      }
+
+      inventory.set(normalizedName, 0);
+    });
+
+    return inventory;
+  }
+
+  #buildRecipes(reactions) {
+    this.#assertPlainObject(
+      reactions,
+      "Reactions must be provided as an object literal"
+    );
+
+    const normalizedProducts = [];
+    const seenProducts = new Set();
+    for (const productName of Object.keys(reactions)) {
+      const normalizedProduct = this.#normalizeName(productName);
+      if (!normalizedProduct) {
+        throw new TypeError(
+          `Invalid product name in reactions: ${String(productName)}`
+        );
+      }
+
+      if (
+        this.#inventory.has(normalizedProduct) ||
+        seenProducts.has(normalizedProduct)
+      ) {
+        throw new RangeError(`Duplicate substance name: ${normalizedProduct}`);
+      }
+
+      seenProducts.add(normalizedProduct);
+      normalizedProducts.push({ original: productName, name: normalizedProduct });
+      this.#inventory.set(normalizedProduct, 0);
+    }
+
+    const recipes = new Map();
+    normalizedProducts.forEach(({ original, name }) => {
+      recipes.set(name, this.#normalizeRecipes(reactions[original], name));
+    });
+
+    return recipes;
+  }
+
+  #applyInitialStock(initialStock) {
+    this.#assertPlainObject(
+      initialStock,
+      "Initial stock must be provided as an object literal"
+    );
+
+    for (const [name, quantity] of Object.entries(initialStock)) {
+      const normalizedName = this.#normalizeName(name);
+      if (!normalizedName) {
+        throw new Error(
+          `Invalid substance name in initial stock: ${String(name)}`
+        );
+      }
+
+      if (!this.#inventory.has(normalizedName)) {
+        throw new ReferenceError(
+          `Initial stock references unknown substance: ${normalizedName}`
+        );
+      }
+
+      this.#setStock(
+        normalizedName,
+        this.#normalizeQuantity(quantity, normalizedName),
+        "initial"
+      );
+    }
+  }
+
+  #buildUnits(units = {}) {
+    this.#assertPlainObject(
+      units,
+      "Units must be provided as an object literal"
+    );
+
+    const normalizedUnits = new Map();
+    Object.entries(units).forEach(([name, unit]) => {
+      const normalizedName = this.#normalizeName(name);
+      if (!normalizedName) {
+        throw new TypeError(`Invalid substance name in units: ${String(name)}`);
+      }
+
+      normalizedUnits.set(normalizedName, resolveUnit(unit));
+    });
+    return normalizedUnits;
+  }
+
+  #assertUnitsKnown() {
+    this.#units.forEach((unit, substance) => {
+      if (!this.#inventory.has(substance)) {
+        throw new ReferenceError(
+          `Units reference unknown substance: ${substance}`
+        );
+      }
+    });
+  }
+
+  #requireUnit(substance) {
+    const unit = this.#units.get(substance);
+    if (!unit) {
+      throw new TypeError(`${substance} has no declared unit of measure`);
+    }
+
+    return unit;
+  }
+
+  #convertFromSubstanceUnit(quantity, substance, unit) {
+    const value = this.#math.toNumber(quantity);
+    if (unit === undefined) {
+      return value;
+    }
+
+    return convertQuantity(
+      value,
+      this.#requireUnit(substance),
+      resolveUnit(unit)
+    );
+  }
+
+  #convertToSubstanceUnit(quantity, substance) {
+    const { value, unit } = parseQuantityWithUnit(quantity);
+    return convertQuantity(value, unit, this.#requireUnit(substance));
+  }
+
+  #buildCapacities(capacity = {}) {
+    this.#assertPlainObject(
+      capacity,
+      "Capacity must be provided as an object literal"
+    );
+    const { limits = {}, groups = {} } = capacity;
+    this.#assertPlainObject(
+      limits,
+      "Capacity limits must be provided as an object literal"
+    );
+    this.#assertPlainObject(
+      groups,
+      "Capacity groups must be provided as an object literal"
+    );
+    this.#overflowPolicy = this.#normalizeOverflowPolicy(
+      capacity.overflow ?? "reject"
+    );
+
+    this.#capacities = Object.entries(limits).map(([name, limit]) => {
+      const substance = this.#resolveKnownSubstance(name);
+      return {
+        name: substance,
+        isGroup: false,
+        unit: null,
+        limit: this.#normalizeQuantity(limit, substance),
+        members: new Map([[substance, 1]]),
+      };
+    });
+
+    Object.entries(groups).forEach(([name, group]) => {
+      const groupName = this.#normalizeName(name);
+      if (!groupName) {
+        throw new TypeError(`Invalid capacity group name: ${String(name)}`);
+      }
+
+      this.#assertPlainObject(
+        group,
+        `Capacity group ${groupName} must be provided as an object literal`
+      );
+      if (!Array.isArray(group.substances) || group.substances.length === 0) {
+        throw new TypeError(
+          `Capacity group ${groupName} must list at least one substance`
+        );
+      }
+
+      const { limit, unit } = this.#normalizeGroupLimit(group.limit);
+      const members = new Map();
+      group.substances.forEach((member) => {
+        const substance = this.#resolveKnownSubstance(member);
+        if (members.has(substance)) {
+          throw new RangeError(
+            `Duplicate substance in capacity group ${groupName}: ${substance}`
+          );
+        }
+
+        members.set(
+          substance,
+          unit === null
+            ? 1
+            : convertQuantity(1, this.#requireUnit(substance), unit)
+        );
+      });
+      this.#capacities.push({
+        name: groupName,
+        isGroup: true,
+        unit,
+        limit,
+        members,
+      });
+    });
+  }
+
+  #normalizeGroupLimit(limit) {
+    if (typeof limit === "number" || this.#math.accepts(limit)) {
+      return { limit: this.#normalizeQuantity(limit), unit: null };
+    }
+
+    const { value, unit } = parseQuantityWithUnit(limit);
+    return { limit: this.#normalizeQuantity(value), unit };
+  }
+
+  #normalizeOverflowPolicy(policy) {
+    if (!OVERFLOW_POLICIES.has(policy)) {
+      throw new RangeError(`Unknown overflow policy: ${String(policy)}`);
+    }
+
+    return policy;
+  }
+
+  #describeCapacities() {
+    const limits = {};
+    const groups = {};
+    this.#capacities.forEach(({ name, isGroup, unit, limit, members }) => {
+      if (!isGroup) {
+        limits[name] = this.#math.serialize(limit);
+        return;
+      }
+
+      groups[name] = {
+        limit:
+          unit === null
+            ? this.#math.serialize(limit)
+            : { value: this.#math.toNumber(limit), unit: unit.symbol },
+        substances: [...members.keys()],
+      };
+    });
+    return { overflow: this.#overflowPolicy, limits, groups };
+  }
+
+  #capacityUsage(capacity) {
+    let usage = 0;
+    capacity.members.forEach((weight, substance) => {
+      usage = this.#math.add(
+        usage,
+        this.#math.multiply(
+          weight,
+          this.#math.add(
+            this.#inventory.get(substance),
+            this.#hiddenStock?.get(substance) ?? 0
+          )
+        )
+      );
+    });
+    return usage;
+  }
+
+  #capacityScale(deltas) {
+    let limit = { scale: null, capacity: null };
+    this.#capacities.forEach((capacity) => {
+      let growth = 0;
+      capacity.members.forEach((weight, substance) => {
+        if (deltas.has(substance)) {
+          growth = this.#math.add(
+            growth,
+            this.#math.multiply(weight, deltas.get(substance))
+          );
+        }
+      });
+      if (this.#math.compare(growth, 0) <= 0) {
+        return;
+      }
+
+      const headroom = this.#math.subtract(
+        capacity.limit,
+        this.#capacityUsage(capacity)
+      );
+      const scale = this.#math.max(0, this.#math.divide(headroom, growth));
+      if (limit.scale === null || this.#math.compare(scale, limit.scale) < 0) {
+        limit = { scale, capacity: capacity.name };
+      }
+    });
+    return limit;
+  }
+
+  #accumulateRecipeDeltas(deltas, productName, recipe, quantity) {
+    const accumulate = (substance, amount) => {
+      deltas.set(substance, this.#math.add(deltas.get(substance) ?? 0, amount));
+    };
+    accumulate(productName, quantity);
+    recipe.reagents.forEach((reagent) => {
+      accumulate(
+        reagent.substance,
+        this.#math.subtract(0, this.#math.multiply(reagent.quantity, quantity))
+      );
+    });
+    recipe.byproducts.forEach((byproduct) => {
+      accumulate(
+        byproduct.substance,
+        this.#math.multiply(byproduct.quantity, quantity)
+      );
+    });
+    return deltas;
+  }
+
+  #assertWithinCapacity() {
+    this.#capacities.forEach((capacity) => {
+      const usage = this.#capacityUsage(capacity);
+      if (this.#isShortOf(capacity.limit, usage)) {
+        throw new CapacityExceededError(
+          capacity.name,
+          this.#math.toNumber(usage),
+          this.#math.toNumber(capacity.limit),
+          capacity.name,
+          `Initial stock exceeds the capacity of ${
+            capacity.name
+          }: ${this.#math.toNumber(usage)} > ${this.#math.toNumber(
+            capacity.limit
+          )}`
+        );
+      }
+    });
+  }
+
+  #normalizeName(value) {
+    if (typeof value !== "string") {
+      return null;
+    }
+
+    const normalizedValue = value.trim().toLowerCase();
+    return normalizedValue.length > 0 ? normalizedValue : null;
+  }
+
+  #normalizeQuantity(quantity, substance = null) {
+    if (this.#math.accepts(quantity)) {
+      return this.#assertNonNegative(this.#math.from(quantity));
+    }
+
+    const value =
+      typeof quantity === "number" || substance === null
+        ? quantity
+        : this.#convertToSubstanceUnit(quantity, substance);
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new TypeError(`Quantity must be a finite number: ${String(value)}`);
+    }
+
+    return this.#assertNonNegative(this.#math.from(value));
+  }
+
+  #assertNonNegative(value) {
+    if (this.#math.compare(value, 0) < 0) {
+      throw new RangeError(
+        `Quantity cannot be negative. Received: ${String(value)}`
+      );
+    }
+
+    return value;
+  }
+
+  #normalizeRecipes(definition, productName) {
+    if (Array.isArray(definition) || definition?.recipes === undefined) {
+      return [
+        this.#normalizeRecipe(
+          definition,
+          productName,
+          DEFAULT_RECIPE,
+          productName
+        ),
+      ];
+    }
+
+    this.#assertPlainObject(
+      definition.recipes,
+      `Recipes for ${productName} must be provided as an object literal`
+    );
+
+    const recipeNames = Object.keys(definition.recipes);
+    if (recipeNames.length === 0) {
+      throw new TypeError(`Reactions for ${productName} must define a recipe`);
+    }
+
+    const seenRecipes = new Set();
+    return recipeNames.map((recipeName) => {
+      const normalizedRecipe = this.#normalizeName(recipeName);
+      if (!normalizedRecipe) {
+        throw new TypeError(
+          `Invalid recipe name for ${productName}: ${String(recipeName)}`
+        );
+      }
+
+      if (seenRecipes.has(normalizedRecipe)) {
+        throw new RangeError(
+          `Duplicate recipe name for ${productName}: ${normalizedRecipe}`
+        );
+      }
+
+      seenRecipes.add(normalizedRecipe);
+      return this.#normalizeRecipe(
+        definition.recipes[recipeName],
+        productName,
+        normalizedRecipe,
+        `${productName} (${normalizedRecipe})`
+      );
+    });
+  }
+
+  #normalizeRecipe(definition, productName, recipeName, label) {
+    const isDetailed =
+      definition !== null &&
+      typeof definition === "object" &&
+      !Array.isArray(definition);
+    const reagents = this.#normalizeReagents(
+      isDetailed ? definition.reagents : definition,
+      label
+    );
+    const outputs = this.#normalizeOutputs(
+      isDetailed ? definition.outputs : undefined,
+      productName,
+      label
+    );
+    const efficiency = this.#normalizeEfficiency(
+      isDetailed ? definition.efficiency : undefined,
+      label
+    );
+    const processingCost =
+      isDetailed && definition.processingCost !== undefined
+        ? this.#normalizeCost(
+            definition.processingCost,
+            `processing cost for ${label}`
+          )
+        : 0;
+
+    const productYield = outputs.get(productName);
+    const effectiveYield = this.#math.multiply(
+      productYield,
+      this.#math.from(efficiency)
+    );
+    const byproducts = [];
+    outputs.forEach((quantity, substance) => {
+      if (substance !== productName) {
+        byproducts.push({
+          substance,
+          quantity: this.#math.divide(quantity, productYield),
+        });
+      }
+    });
+
+    return {
+      name: recipeName,
+      yield: productYield,
+      efficiency,
+      reagents: reagents
+        .filter((reagent) => reagent.role === "reagent")
+        .map(({ substance, quantity }) => ({
+          substance,
+          quantity: this.#math.divide(quantity, effectiveYield),
+        })),
+      catalysts: reagents
+        .filter((reagent) => reagent.role === "catalyst")
+        .map(({ substance, quantity }) => ({ substance, quantity })),
+      byproducts,
+      processingCost: processingCost / this.#math.toNumber(effectiveYield),
+    };
+  }
+
+  #normalizeCost(cost, label) {
+    if (typeof cost !== "number" || !Number.isFinite(cost)) {
+      throw new TypeError(
+        `The ${label} must be a finite number: ${String(cost)}`
+      );
+    }
+
+    if (cost < 0) {
+      throw new RangeError(
+        `The ${label} cannot be negative. Received: ${cost}`
+      );
+    }
+
+    return cost;
+  }
+
+  #normalizeEfficiency(efficiency, label) {
+    if (efficiency === undefined) {
+      return 1;
+    }
+
+    if (typeof efficiency !== "number" || !Number.isFinite(efficiency)) {
+      throw new TypeError(
+        `Efficiency for ${label} must be a finite number: ${String(efficiency)}`
+      );
+    }
+
+    if (efficiency <= 0 || efficiency > 1) {
+      throw new RangeError(
+        `Efficiency for ${label} must be greater than 0 and at most 1. Received: ${efficiency}`
+      );
+    }
+
+    return efficiency;
+  }
+
+  #normalizeOutputs(outputs, productName, label) {
+    if (outputs === undefined) {
+      return new Map([[productName, 1]]);
+    }
+
+    if (!Array.isArray(outputs) || outputs.length === 0) {
+      throw new TypeError(`Outputs for ${label} must be a non-empty array`);
+    }
+
+    const normalizedOutputs = new Map();
+    outputs.forEach((entry, index) => {
+      const output = this.#normalizeReactionEntry(
+        entry,
+        index,
+        label,
+        "output"
+      );
+      if (normalizedOutputs.has(output.substance)) {
+        throw new RangeError(
+          `Duplicate output in reaction for ${label}: ${output.substance}`
+        );
+      }
+
+      normalizedOutputs.set(output.substance, output.quantity);
+    });
+
+    if (
+      !normalizedOutputs.has(productName) ||
+      this.#math.compare(normalizedOutputs.get(productName), 0) <= 0
+    ) {
+      throw new RangeError(
+        `Reaction for ${label} must yield a positive quantity of ${productName}`
+      );
+    }
+
+    return normalizedOutputs;
+  }
+
+  #normalizeReason(reason) {
+    if (reason === undefined) {
+      return "unspecified";
+    }
+
+    const normalizedReason = this.#normalizeName(reason);
+    if (!normalizedReason) {
+      throw new TypeError(`Invalid withdrawal reason: ${String(reason)}`);
+    }
+
+    return normalizedReason;
+  }
+
+  #normalizeReagents(reagents, productName) {
+    if (!Array.isArray(reagents) || reagents.length === 0) {
+      throw new TypeError(
+        `Reactions for ${productName} must be a non-empty array`
+      );
+    }
+
+    return reagents.map((entry, index) => {
+      const reagent = this.#normalizeReactionEntry(
+        entry,
+        index,
+        productName,
+        "reagent"
+      );
+      const role = entry[2] ?? "reagent";
+      if (!REAGENT_ROLES.has(role)) {
+        throw new RangeError(
+          `Invalid reagent role at index ${index} for ${productName}: ${String(
+            role
+          )}`
+        );
+      }
+
+      return { ...reagent, role };
+    });
+  }
+
+  #normalizeReactionEntry(entry, index, productName, kind) {
+    const allowedLength = kind === "reagent" ? 3 : 2;
+    if (
+      !Array.isArray(entry) ||
+      entry.length < 2 ||
+      entry.length > allowedLength
+    ) {
+      throw new TypeError(
+        `Invalid ${kind} definition at index ${index} for ${productName}`
+      );
+    }
+
+    const [quantity, substanceName] = entry;
+    const normalizedSubstance = this.#normalizeName(substanceName);
+    if (!normalizedSubstance) {
+      throw new TypeError(
+        `Invalid substance name in reaction for ${productName}: ${String(
+          substanceName
+        )}`
+      );
+    }
+
+    if (!this.#inventory.has(normalizedSubstance)) {
+      throw new ReferenceError(
+        `Reaction references unknown substance: ${normalizedSubstance}`
+      );
+    }
+
+    return {
+      substance: normalizedSubstance,
+      quantity: this.#normalizeQuantity(quantity, normalizedSubstance),
+    };
+  }
+
+  #resolveKnownSubstance(name) {
+    const normalizedName = this.#normalizeName(name);
+    if (!normalizedName) {
+      throw new TypeError(`Invalid substance name: ${String(name)}`);
+    }
+
+    if (!this.#inventory.has(normalizedName)) {
+      throw new ReferenceError(`Unknown substance: ${normalizedName}`);
+    }
+
+    return normalizedName;
+  }
+
+  #normalizeOrder(order) {
+    this.#assertPlainObject(
+      order,
+      "Production order must be provided as an object literal"
+    );
+
+    const orders = new Map();
+    Object.entries(order).forEach(([name, quantity]) => {
+      const substance = this.#resolveKnownSubstance(name);
+      orders.set(
+        substance,
+        (orders.get(substance) ?? 0) +
+          this.#normalizeQuantity(quantity, substance)
+      );
+    });
+    return orders;
+  }
+
+  #normalizeTargets(targets) {
+    this.#assertPlainObject(
+      targets,
+      "Optimization targets must be provided as an object literal"
+    );
+
+    const goals = new Map();
+    Object.entries(targets).forEach(([name, target]) => {
+      const product = this.#resolveKnownSubstance(name);
+      if (!this.#recipes.has(product)) {
+        throw new RangeError(`No reaction produces ${product}`);
+      }
+
+      if (goals.has(product)) {
+        throw new RangeError(`Duplicate optimization target: ${product}`);
+      }
+
+      const goal =
+        typeof target === "number" ? { value: target } : { ...target };
+      if (typeof goal.value !== "number" || !Number.isFinite(goal.value)) {
+        throw new TypeError(
+          `Value of ${product} must be a finite number: ${String(goal.value)}`
+        );
+      }
+
+      const min =
+        goal.min === undefined
+          ? 0
+          : this.#math.toNumber(this.#normalizeQuantity(goal.min, product));
+      const max =
+        goal.max === undefined
+          ? null
+          : this.#math.toNumber(this.#normalizeQuantity(goal.max, product));
+      if (max !== null && max < min) {
+        throw new RangeError(
+          `Maximum quantity of ${product} is below its minimum: ${max} < ${min}`
+        );
+      }
+
+      goals.set(product, { value: goal.value, min, max });
+    });
+    return goals;
+  }
+
+  #normalizeProductRequest(productName, desiredQuantity) {
+    const product = this.#normalizeName(productName);
+    if (!product) {
+      throw new TypeError(`Invalid substance name: ${String(productName)}`);
+    }
+
+    return {
+      product,
+      quantity: this.#normalizeQuantity(desiredQuantity, product),
+    };
+  }
+
+  #normalizeMakeOptions(productName, options) {
+    this.#assertPlainObject(
+      options,
+      "Make options must be provided as an object literal"
+    );
+    if (options.atomic && productName !== null) {
+      this.#resolveKnownSubstance(productName);
+    }
+
+    const strategy = options.strategy ?? "first";
+    if (!RECIPE_STRATEGIES.has(strategy)) {
+      throw new RangeError(
+        `Unknown recipe selection strategy: ${String(strategy)}`
+      );
+    }
+
+    return {
+      atomic: Boolean(options.atomic),
+      report: Boolean(options.report),
+      strategy,
+      recipe:
+        options.recipe === undefined
+          ? null
+          : this.#resolveRecipe(productName, options.recipe),
+      orderId:
+        options.orderId === undefined
+          ? null
+          : this.#normalizeIdentifier(options.orderId, "order id"),
+    };
+  }
+
+  #resolveRecipe(productName, recipeName) {
+    const normalizedRecipe = this.#normalizeName(recipeName);
+    if (!normalizedRecipe) {
+      throw new TypeError(`Invalid recipe name: ${String(recipeName)}`);
+    }
+
+    const recipe = this.#recipes
+      .get(productName)
+      ?.find((candidate) => candidate.name === normalizedRecipe);
+    if (!recipe) {
+      throw new ReferenceError(
+        `Unknown recipe for ${productName}: ${normalizedRecipe}`
+      );
+    }
+
+    return recipe;
+  }
+
+  #assertPlainObject(value, message) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      throw new TypeError(message);
+    }
+  }
+
+  #produce(productName, quantity, settings, trace) {
+    if (this.#math.isZero(quantity)) {
+      return 0;
+    }
+
+    if (!this.#recipes.has(productName)) {
+      if (settings.atomic) {
+        throw new InsufficientStockError(
+          productName,
+          this.#math.toNumber(quantity),
+          0,
+          `No reaction produces ${productName}`
+        );
+      }
+      return 0;
+    }
+
+    const context = {
+      stack: new Set(),
+      strategy: settings.strategy,
+      capacity: { limited: null },
+      exhausted: new Set(),
+      budgets: null,
+      held: new Map(),
+    };
+    const produced = this.#withoutUnavailableStock(() => {
+      if (settings.strategy === "first") {
+        context.budgets = this.#planRecipeBudgets(
+          productName,
+          quantity,
+          settings.recipe
+        );
+      }
+      return settings.recipe
+        ? this.#runRecipe(
+            productName,
+            settings.recipe,
+            quantity,
+            context,
+            trace
+          )
+        : this.#makeInternal(productName, quantity, context, trace);
+    }, settings.orderId);
+    if (settings.atomic && this.#isShortOf(produced, quantity)) {
+      const requested = this.#math.toNumber(quantity);
+      const available = this.#math.toNumber(produced);
+      if (context.capacity.limited !== null) {
+        throw new CapacityExceededError(
+          productName,
+          requested,
+          available,
+          context.capacity.limited,
+          `Not enough capacity to make ${requested} ${productName}: only ${available} fits in ${context.capacity.limited}`
+        );
+      }
+      throw new InsufficientStockError(
+        productName,
+        requested,
+        available,
+        `Insufficient stock to make ${requested} ${productName}: only ${available} could be produced`
+      );
+    }
+
+    return produced;
+  }
+
+  #searchMaxProducible(productName, settings) {
+    if (this.#refusesProduction(productName)) {
+      return 0;
+    }
+
+    const simulateSettings = { ...settings, atomic: false };
+    let best = 0;
+    let last = 0;
+    const delivers = (quantity) => {
+      last = this.#math.toNumber(
+        this.#simulate(() =>
+          this.#produce(productName, quantity, simulateSettings, null)
+        )
+      );
+      best = Math.max(best, last);
+      return last >= quantity * (1 - QUANTITY_TOLERANCE);
+    };
+
+    const estimate = this.#estimateMaxProducible(productName, settings.orderId);
+    let low = 0;
+    let high = estimate;
+    if (delivers(estimate)) {
+      low = estimate;
+      high = estimate * (1 + SEARCH_PROBE_MARGIN);
+      while (delivers(high)) {
+        low = high;
+        high *= 2;
+        if (high > MAX_SEARCH_QUANTITY) {
+          return Infinity;
+        }
+      }
+
+      if (low === estimate) {
+        return best;
+      }
+    } else {
+      const shortfall = last;
+      if (shortfall > 0 && delivers(shortfall)) {
+        low = shortfall;
+        if (!delivers(shortfall * (1 + SEARCH_PROBE_MARGIN))) {
+          return best;
+        }
+      }
+    }
+
+    for (let i = 0; i < MAX_SEARCH_SIMULATIONS; i += 1) {
+      low = Math.max(low, best);
+      const middle = (low + high) / 2;
+      if (high - low <= high * QUANTITY_TOLERANCE) {
+        break;
+      }
+
+      if (delivers(middle)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return best;
+  }
+
+  #estimateMaxProducible(productName, orderId) {
+    if (this.#reachesAlternativeRecipes(productName)) {
+      const { status, value } = this.#withoutUnavailableStock(
+        () =>
+          solveLinearProgram(
+            this.#buildProductionProgram(
+              this.#listProductionActivities(),
+              new Map([[productName, { value: 1, min: 0, max: null }]])
+            )
+          ),
+        orderId
+      );
+      return status === "optimal" ? value : MAX_SEARCH_QUANTITY;
+    }
+
+    const free = new Map();
+    const fits = (quantity) =>
+      [
+        ...this.#expandBaseRequirements(
+          new Map([[productName, quantity]]),
+          orderId
+        ),
+      ].every(([substance, required]) => {
+        if (!free.has(substance)) {
+          free.set(
+            substance,
+            this.#math.toNumber(this.#freeQuantity(substance, orderId))
+          );
+        }
+        return required <= free.get(substance) * (1 + QUANTITY_TOLERANCE);
+      });
+
+    let low = 0;
+    let high = 1;
+    while (fits(high)) {
+      low = high;
+      high *= 2;
+      if (high > MAX_SEARCH_QUANTITY) {
+        return MAX_SEARCH_QUANTITY;
+      }
+    }
+
+    for (let i = 0; i < SEARCH_ITERATIONS; i += 1) {
+      const middle = (low + high) / 2;
+      if (middle === low || middle === high) {
+        break;
+      }
+
+      if (fits(middle)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low > 0 ? low : high;
+  }
+
+  #listProductionActivities() {
+    const activities = [];
+    this.#components.forEach((component) => {
+      component.products.forEach((product) => {
+        this.#recipes.get(product).forEach((recipe) => {
+          const available = recipe.catalysts.every(
+            (catalyst) =>
+              this.#inventory.get(catalyst.substance) >= catalyst.quantity
+          );
+          if (available) {
+            activities.push({ product, recipe });
+          }
+        });
+      });
+    });
+    return activities;
+  }
+
+  #buildProductionProgram(activities, goals) {
+    const substances = [...this.#inventory.keys()];
+    const products = [...goals.keys()];
+    const width = activities.length + products.length;
+    const reserves = new Map();
+    activities.forEach(({ recipe }) => {
+      recipe.catalysts.forEach((catalyst) => {
+        reserves.set(
+          catalyst.substance,
+          Math.max(reserves.get(catalyst.substance) ?? 0, catalyst.quantity)
+        );
+      });
+    });
+
+    const constraints = substances.map((substance) => {
+      const coefficients = new Array(width).fill(0);
+      activities.forEach(({ product, recipe }, index) => {
+        recipe.reagents.forEach((reagent) => {
+          if (reagent.substance === substance) {
+            coefficients[index] += reagent.quantity;
+          }
+        });
+        recipe.byproducts.forEach((byproduct) => {
+          if (byproduct.substance === substance) {
+            coefficients[index] -= byproduct.quantity;
+          }
+        });
+        if (product === substance) {
+          coefficients[index] -= 1;
+        }
+      });
+
+      return {
+        coefficients,
+        operator: "<=",
+        value: this.#inventory.get(substance) - (reserves.get(substance) ?? 0),
+      };
+    });
+
+    this.#capacities.forEach((capacity) => {
+      const coefficients = new Array(width).fill(0);
+      capacity.members.forEach((weight, substance) => {
+        const row = constraints[substances.indexOf(substance)].coefficients;
+        activities.forEach((_, index) => {
+          coefficients[index] -= this.#math.toNumber(weight) * row[index];
+        });
+      });
+      constraints.push({
+        coefficients,
+        operator: "<=",
+        value: this.#math.toNumber(
+          this.#math.subtract(capacity.limit, this.#capacityUsage(capacity))
+        ),
+      });
+    });
+
+    products.forEach((product, index) => {
+      const production = [
+        ...constraints[substances.indexOf(product)].coefficients,
+      ];
+      production[activities.length + index] = 1;
+      constraints.push({ coefficients: production, operator: "<=", value: 0 });
+
+      const { min, max } = goals.get(product);
+      const coefficients = new Array(width).fill(0);
+      coefficients[activities.length + index] = 1;
+      if (min > 0) {
+        constraints.push({ coefficients, operator: ">=", value: min });
+      }
+      if (max !== null) {
+        constraints.push({ coefficients, operator: "<=", value: max });
+      }
+    });
+
+    const objective = new Array(width).fill(0);
+    products.forEach((product, index) => {
+      objective[activities.length + index] = goals.get(product).value;
+    });
+    return { objective, constraints };
+  }
+
+  #executeProductionRuns(runs) {
+    runs.forEach(({ product, recipe: recipeName, quantity: solution }) => {
+      const recipe = this.#recipes
+        .get(product)
+        .find((candidate) => candidate.name === recipeName);
+      const quantity = this.#math.approximate(solution);
+      const run = { product, recipe: recipeName };
+      this.#traceLineage(() => {
+        recipe.reagents.forEach((reagent) => {
+          const consumption = this.#math.multiply(reagent.quantity, quantity);
+          if (this.#math.isZero(consumption)) {
+            return;
+          }
+
+          const remaining = this.#math.subtract(
+            this.#inventory.get(reagent.substance),
+            consumption
+          );
+          const drift = this.#math.multiply(consumption, this.#tolerance);
+          this.#setStock(
+            reagent.substance,
+            this.#math.compare(remaining, drift) <= 0 &&
+              this.#math.compare(remaining, this.#math.subtract(0, drift)) >= 0
+              ? this.#math.from(0)
+              : remaining,
+            "consume",
+            run
+          );
+        });
+        this.#setStock(
+          product,
+          this.#math.add(this.#inventory.get(product), quantity),
+          "produce",
+          run
+        );
+        this.#creditByproducts(product, recipe, quantity, null);
+      });
+    });
+
+    this.#inventory.forEach((quantity, substance) => {
+      if (this.#math.compare(quantity, 0) < 0) {
+        const overdraft = this.#math.toNumber(this.#math.subtract(0, quantity));
+        throw new InsufficientStockError(
+          substance,
+          overdraft,
+          0,
+          `Optimized production overdraws ${substance} by ${overdraft}`
+        );
+      }
+    });
+    this.#capacities.forEach((capacity) => {
+      const usage = this.#capacityUsage(capacity);
+      if (this.#isShortOf(capacity.limit, usage)) {
+        throw new CapacityExceededError(
+          capacity.name,
+          this.#math.toNumber(usage),
+          this.#math.toNumber(capacity.limit),
+          capacity.name,
+          `Optimized production exceeds the capacity of ${
+            capacity.name
+          }: ${this.#math.toNumber(usage)} > ${this.#math.toNumber(
+            capacity.limit
+          )}`
+        );
+      }
+    });
+  }
+
+  #isShortOf(value, target) {
+    return (
+      this.#math.compare(
+        this.#math.subtract(target, value),
+        this.#math.multiply(target, this.#tolerance)
+      ) > 0
+    );
+  }
+
+  #isPositive(value) {
+    return (
+      this.#math.compare(value, 0) > 0 &&
+      Number.isFinite(this.#math.toNumber(value))
+    );
+  }
+
+  #simulate(callback) {
+    const inventory = this.#inventory;
+    const activeOperation = this.#activeOperation;
+    this.#inventory = new Map(inventory);
+    this.#activeOperation = null;
+    try {
+      return callback(inventory);
+    } finally {
+      this.#inventory = inventory;
+      this.#activeOperation = activeOperation;
+    }
+  }
+
+  #makeInternal(productName, requestedQuantity, context, trace) {
+    const recipes = this.#recipes.get(productName);
+    if (!recipes || context.exhausted.has(productName)) {
+      return 0;
+    }
+
+    let produced = 0;
+    const candidates = this.#orderRecipes(
+      productName,
+      recipes,
+      requestedQuantity,
+      context
+    );
+    for (const recipe of candidates) {
+      if (!this.#isShortOf(produced, requestedQuantity)) {
+        break;
+      }
+
+      const made = this.#runRecipe(
+        productName,
+        recipe,
+        this.#budgetedQuantity(
+          recipe,
+          this.#math.subtract(requestedQuantity, produced),
+          context
+        ),
+        context,
+        trace
+      );
+      produced = this.#math.add(produced, made);
+      if (context.budgets?.has(recipe)) {
+        context.budgets.set(
+          recipe,
+          Math.max(0, context.budgets.get(recipe) - this.#math.toNumber(made))
+        );
+      }
+    }
+
+    if (this.#isShortOf(produced, requestedQuantity)) {
+      context.exhausted.add(productName);
+    }
+    return produced;
+  }
+
+  #orderRecipes(productName, recipes, quantity, context) {
+    if (recipes.length === 1) {
+      return recipes;
+    }
+
+    if (context.strategy === "cheapest") {
+      const costs = this.#rollUpCosts(() => 1);
+      return [...recipes].sort(
+        (left, right) =>
+          this.#recipeCost(left, costs) - this.#recipeCost(right, costs)
+      );
+    }
+
+    if (context.strategy === "maxYield") {
+      const yields = recipes.map((recipe) =>
+        this.#simulateRecipe(productName, recipe, quantity, context)
+      );
+      return recipes
+        .map((recipe, index) => ({ recipe, index }))
+        .sort((left, right) => yields[right.index] - yields[left.index])
+        .map(({ recipe }) => recipe);
+    }
+
+    if (context.budgets === null) {
+      return recipes;
+    }
+
+    return [
+      ...recipes.filter((recipe) => context.budgets.get(recipe) > 0),
+      ...recipes.filter((recipe) => !context.budgets.has(recipe)),
+    ];
+  }
+
+  #simulateRecipe(productName, recipe, quantity, context) {
+    return this.#simulate(() =>
+      this.#runRecipe(
+        productName,
+        recipe,
+        quantity,
+        {
+          ...context,
+          strategy: "first",
+          capacity: { limited: null },
+          exhausted: new Set(),
+          budgets: this.#planRecipeBudgets(productName, quantity, recipe),
+        },
+        null
+      )
+    );
+  }
+
+  #budgetedQuantity(recipe, quantity, context) {
+    if (!context.budgets?.has(recipe)) {
+      return quantity;
+    }
+
+    const budget = this.#math.approximate(context.budgets.get(recipe));
+    return this.#isShortOf(budget, quantity) ? budget : quantity;
+  }
+
+  #planRecipeBudgets(productName, quantity, recipe = null) {
+    if (!this.#reachesAlternativeRecipes(productName)) {
+      return null;
+    }
+
+    const activities = this.#listProductionActivities().filter(
+      (activity) =>
+        recipe === null ||
+        activity.product !== productName ||
+        activity.recipe === recipe
+    );
+    const program = this.#buildProductionProgram(
+      activities,
+      new Map([
+        [productName, { value: 1, min: 0, max: this.#math.toNumber(quantity) }],
+      ])
+    );
+    const output = solveLinearProgram(program);
+    if (output.status !== "optimal") {
+      return null;
+    }
+
+    const preferred = solveLinearProgram({
+      objective: [
+        ...activities.map(
+          (activity) =>
+            -this.#recipes.get(activity.product).indexOf(activity.recipe)
+        ),
+        0,
+      ],
+      constraints: [
+        ...program.constraints,
+        {
+          coefficients: program.objective,
+          operator: ">=",
+          value: output.value,
+        },
+      ],
+    });
+    const { solution } = preferred.status === "optimal" ? preferred : output;
+    return new Map(
+      activities.map((activity, index) => [activity.recipe, solution[index]])
+    );
+  }
+
+  #reachesAlternativeRecipes(productName) {
+    const visited = new Set();
+    const visit = (substance) => {
+      if (visited.has(substance) || !this.#recipes.has(substance)) {
+        return false;
+      }
+
+      visited.add(substance);
+      const recipes = this.#recipes.get(substance);
+      return (
+        recipes.length > 1 ||
+        recipes.some((recipe) =>
+          [...recipe.catalysts, ...recipe.reagents].some((reagent) =>
+            visit(reagent.substance)
+          )
+        )
+      );
+    };
+    return visit(productName);
+  }
+
+  #runRecipe(productName, recipe, requestedQuantity, context, trace) {
+    const component = this.#componentLookup.get(productName);
     if (component?.isCyclic) {
       return this.#makeFromCyclicComponent(
         component,
         productName,
-        requestedQuantity
+        recipe,
+        requestedQuantity,
+        context,
+        trace
       );
     }
 
-    if (stack.has(productName)) {
+    if (context.stack.has(productName)) {
       throw new RangeError(
         `Circular reaction detected while producing: ${productName}`
       );
     }
 
-    const recipe = this.#recipes.get(productName);
-    if (!recipe) {
-      return 0;
+    const node = this.#openTraceNode(
+      trace,
+      productName,
+      recipe,
+      requestedQuantity
+    );
+    context.stack.add(productName);
+    recipe.catalysts.forEach((catalyst) => {
+      this.#ensureReagentAvailability(
+        catalyst.substance,
+        catalyst.quantity,
+        context,
+        node
+      );
+    });
+    this.#holdCatalysts(recipe.catalysts, context);
+    recipe.reagents.forEach((reagent) => {
+      const requiredQuantity = this.#math.multiply(
+        reagent.quantity,
+        requestedQuantity
+      );
+      this.#ensureReagentAvailability(
+        reagent.substance,
+        requiredQuantity,
+        context,
+        node
+      );
+    });
+
+    const missingCatalyst = this.#findMissingCatalyst(
+      recipe.catalysts,
+      context,
+      node
+    );
+    if (missingCatalyst) {
+      if (node) {
+        node.limitingReagent = missingCatalyst;
+      }
+      this.#releaseCatalysts(recipe.catalysts, context);
+      context.stack.delete(productName);
+      return 0;
+    }
+
+    const { quantity: availableQuantity, limitingReagent } =
+      recipe.reagents.reduce(
+        (limit, reagent) => {
+          if (this.#math.isZero(reagent.quantity)) {
+            return limit;
+          }
+
+          const available = this.#unheldQuantity(reagent.substance, context);
+          const possible = this.#math.divide(available, reagent.quantity);
+          return this.#math.compare(possible, limit.quantity) < 0
+            ? { quantity: possible, limitingReagent: reagent.substance }
+            : limit;
+        },
+        { quantity: requestedQuantity, limitingReagent: null }
+      );
+    if (node) {
+      node.limitingReagent = limitingReagent;
+    }
+
+    let actualQuantity = availableQuantity;
+    const capacityLimit = this.#capacityScale(
+      this.#accumulateRecipeDeltas(new Map(), productName, recipe, 1)
+    );
+    if (
+      capacityLimit.scale !== null &&
+      this.#math.compare(capacityLimit.scale, actualQuantity) < 0
+    ) {
+      actualQuantity = capacityLimit.scale;
+      this.#recordCapacityLimit(context, node, capacityLimit.capacity);
+    }
+
+    if (!this.#isPositive(actualQuantity)) {
+      this.#releaseCatalysts(recipe.catalysts, context);
+      context.stack.delete(productName);
+      return 0;
+    }
+
+    const run = { product: productName, recipe: recipe.name };
+    this.#traceLineage(() => {
+      recipe.reagents.forEach((reagent) => {
+        const consumption = this.#math.multiply(
+          reagent.quantity,
+          actualQuantity
+        );
+        this.#setStock(
+          reagent.substance,
+          this.#math.subtract(
+            this.#inventory.get(reagent.substance),
+            consumption
+          ),
+          "consume",
+          run
+        );
+        node?.consumed.push({
+          substance: reagent.substance,
+          quantity: this.#math.toNumber(consumption),
+        });
+      });
+
+      this.#setStock(
+        productName,
+        this.#math.add(this.#inventory.get(productName), actualQuantity),
+        "produce",
+        run
+      );
+      this.#creditByproducts(productName, recipe, actualQuantity, node);
+    });
+    if (recipe.byproducts.length > 0) {
+      context.exhausted.clear();
+    }
+    if (node) {
+      node.produced = this.#math.toNumber(actualQuantity);
+      node.synthesized.push({
+        substance: productName,
+        quantity: node.produced,
+      });
+    }
+    this.#releaseCatalysts(recipe.catalysts, context);
+    context.stack.delete(productName);
+    return actualQuantity;
+  }
+
+  #recordCapacityLimit(context, node, capacity) {
+    context.capacity.limited = capacity;
+    if (node) {
+      node.limitingCapacity = capacity;
+    }
+  }
+
+  #ensureReagentAvailability(substanceName, requiredQuantity, context, trace) {
+    const current = this.#unheldQuantity(substanceName, context);
+    const missing = this.#math.subtract(requiredQuantity, current);
+    if (!this.#isPositive(missing)) {
+      return;
+    }
+
+    if (
+      !this.#recipes.has(substanceName) ||
+      this.#refusesProduction(substanceName)
+    ) {
+      return;
     }
 
-    stack.add(productName);
-    recipe.forEach((reagent) => {
-      const requiredQuantity = reagent.quantity * requestedQuantity;
-      this.#ensureReagentAvailability(
-        reagent.substance,
-        requiredQuantity,
-        stack
-      );
-    });
+    this.#makeInternal(substanceName, missing, context, trace);
+  }
 
-    const actualQuantity = recipe.reduce((min, reagent) => {
-      if (reagent.quantity === 0) {
-        return min;
-      }
+  #refusesProduction(productName) {
+    const component = this.#componentLookup.get(productName);
+    if (!component?.isCyclic) {
+      return false;
+    }
 
-      const available = this.#inventory.get(reagent.substance);
-      const possible = available / reagent.quantity;
-      return Math.min(min, possible);
-    }, requestedQuantity);
+    const column = component.indexMap.get(productName);
+    return this.#componentInverse(
+      component,
+      this.#primarySelection(component)
+    ).some((row) => this.#math.compare(row[column], 0) < 0);
+  }
 
-    if (actualQuantity <= 0 || !Number.isFinite(actualQuantity)) {
-      stack.delete(productName);
-      return 0;
-    }
+  #unheldQuantity(substance, context) {
+    return this.#math.max(
+      0,
+      this.#math.subtract(
+        this.#inventory.get(substance),
+        context.held.get(substance) ?? 0
+      )
+    );
+  }
 
-    recipe.forEach((reagent) => {
-      const consumption = reagent.quantity * actualQuantity;
-      this.#inventory.set(
-        reagent.substance,
-        this.#inventory.get(reagent.substance) - consumption
+  #holdCatalysts(catalysts, context) {
+    catalysts.forEach((catalyst) => {
+      context.held.set(
+        catalyst.substance,
+        this.#math.add(
+          context.held.get(catalyst.substance) ?? 0,
+          catalyst.quantity
+        )
       );
     });
+  }
 
-    this.#inventory.set(
-      productName,
-      this.#inventory.get(productName) + actualQuantity
-    );
-    stack.delete(productName);
-    return actualQuantity;
+  #releaseCatalysts(catalysts, context) {
+    catalysts.forEach((catalyst) => {
+      const remaining = this.#math.subtract(
+        context.held.get(catalyst.substance),
+        catalyst.quantity
+      );
+      if (this.#isPositive(remaining)) {
+        context.held.set(catalyst.substance, remaining);
+      } else {
+        context.held.delete(catalyst.substance);
+      }
+    });
   }
 
-  #ensureReagentAvailability(substanceName, requiredQuantity, stack) {
-    const contextStack = stack ?? new Set();
-    const current = this.#inventory.get(substanceName);
-    const missing = requiredQuantity - current;
-    if (missing <= 0) {
-      return;
-    }
+  #findMissingCatalyst(catalysts, context, node) {
+    let missing = null;
+    catalysts.forEach((catalyst) => {
+      const available = this.#math.subtract(
+        this.#inventory.get(catalyst.substance),
+        this.#math.subtract(
+          context.held.get(catalyst.substance),
+          catalyst.quantity
+        )
+      );
+      node?.catalysts.push({
+        substance: catalyst.substance,
+        required: this.#math.toNumber(catalyst.quantity),
+        available: this.#math.toNumber(available),
+      });
+      if (
+        missing === null &&
+        this.#math.compare(available, catalyst.quantity) < 0
+      ) {
+        missing = catalyst.substance;
+      }
+    });
+    return missing;
+  }
 
-    if (!this.#recipes.has(substanceName)) {
-      return;
-    }
+  #creditByproducts(productName, recipe, quantity, node) {
+    recipe.byproducts.forEach((byproduct) => {
+      const amount = this.#math.multiply(byproduct.quantity, quantity);
+      if (this.#math.isZero(amount)) {
+        return;
+      }
 
-    this.#makeInternal(substanceName, missing, contextStack);
+      this.#setStock(
+        byproduct.substance,
+        this.#math.add(this.#inventory.get(byproduct.substance), amount),
+        "produce",
+        { product: productName, recipe: recipe.name }
+      );
+      node?.synthesized.push({
+        substance: byproduct.substance,
+        quantity: this.#math.toNumber(amount),
+      });
+    });
   }
 
-  #makeFromCyclicComponent(component, productName, desiredQuantity) {
-    if (desiredQuantity <= 0) {
+  #makeFromCyclicComponent(
+    component,
+    productName,
+    recipe,
+    desiredQuantity,
+    context,
+    trace
+  ) {
+    if (!this.#isPositive(desiredQuantity)) {
       return 0;
     }
 
@@ -302,44 +3416,103 @@ class Laboratory {
     }
     demandVector[targetIndex] = desiredQuantity;
 
+    const node = this.#openTraceNode(
+      trace,
+      productName,
+      recipe,
+      desiredQuantity
+    );
+    if (node) {
+      node.component = [...component.products];
+    }
+
+    const selection = this.#primarySelection(component);
+    selection.set(productName, recipe);
     const productionTotals = this.#multiplyMatrixVector(
-      component.inverse,
+      this.#componentInverse(component, selection),
       demandVector
     );
+    if (productionTotals.some((total) => this.#math.compare(total, 0) < 0)) {
+      throw new RangeError(
+        `Cycle ${component.products.join(
+          ", "
+        )} consumes more than it yields and cannot produce ${productName}`
+      );
+    }
+
+    const reserved = new Map();
+    component.products.forEach((product, index) => {
+      if (this.#math.isZero(productionTotals[index])) {
+        return;
+      }
+
+      selection.get(product).catalysts.forEach((catalyst) => {
+        if (component.productSet.has(catalyst.substance)) {
+          reserved.set(
+            catalyst.substance,
+            this.#math.max(
+              reserved.get(catalyst.substance) ?? 0,
+              catalyst.quantity
+            )
+          );
+        }
+      });
+    });
 
     const stockUsage = [];
     const plannedProduction = [];
     component.products.forEach((product, index) => {
       const needed = productionTotals[index];
-      const available = this.#inventory.get(product);
+      const available = this.#math.max(
+        0,
+        this.#math.subtract(
+          this.#unheldQuantity(product, context),
+          reserved.get(product) ?? 0
+        )
+      );
       const targetDemand = index === targetIndex ? desiredQuantity : 0;
-      const internalDemand = Math.max(0, needed - targetDemand);
+      const internalDemand = this.#math.max(
+        0,
+        this.#math.subtract(needed, targetDemand)
+      );
       const usableFromStock =
         index === targetIndex
-          ? Math.min(available, internalDemand)
-          : Math.min(available, needed);
+          ? this.#math.min(available, internalDemand)
+          : this.#math.min(available, needed);
       stockUsage[index] = usableFromStock;
-      plannedProduction[index] = needed - usableFromStock;
+      plannedProduction[index] = this.#math.subtract(needed, usableFromStock);
     });
 
     const externalRequirements = new Map();
+    const catalysts = new Map();
     component.products.forEach((product, index) => {
       const produced = plannedProduction[index];
-      if (produced === 0) {
+      if (this.#math.isZero(produced)) {
         return;
       }
 
-      const recipe = this.#recipes.get(product);
-      recipe.forEach((reagent) => {
+      selection.get(product).catalysts.forEach((catalyst) => {
+        catalysts.set(
+          catalyst.substance,
+          this.#math.max(
+            catalysts.get(catalyst.substance) ?? 0,
+            catalyst.quantity
+          )
+        );
+      });
+      selection.get(product).reagents.forEach((reagent) => {
         if (!component.productSet.has(reagent.substance)) {
-          const amount = reagent.quantity * produced;
-          if (amount === 0) {
+          const amount = this.#math.multiply(reagent.quantity, produced);
+          if (this.#math.isZero(amount)) {
             return;
           }
 
           externalRequirements.set(
             reagent.substance,
-            (externalRequirements.get(reagent.substance) ?? 0) + amount
+            this.#math.add(
+              externalRequirements.get(reagent.substance) ?? 0,
+              amount
+            )
           );
         }
       });
@@ -349,81 +3522,413 @@ class Laboratory {
       return 0;
     }
 
+    const heldCatalysts = [...catalysts].map(([substance, quantity]) => ({
+      substance,
+      quantity,
+    }));
+    catalysts.forEach((quantity, substance) => {
+      if (!component.productSet.has(substance)) {
+        this.#ensureReagentAvailability(
+          substance,
+          quantity,
+          { ...context, stack: new Set() },
+          node
+        );
+      }
+    });
+    this.#holdCatalysts(heldCatalysts, context);
     externalRequirements.forEach((amount, substance) => {
-      this.#ensureReagentAvailability(substance, amount, new Set());
+      this.#ensureReagentAvailability(
+        substance,
+        amount,
+        { ...context, stack: new Set() },
+        node
+      );
     });
 
-    let scale = 1;
+    let scale = this.#math.from(1);
+    let limitingReagent = this.#findMissingCatalyst(
+      heldCatalysts,
+      context,
+      node
+    );
+    if (limitingReagent) {
+      scale = this.#math.from(0);
+    }
     externalRequirements.forEach((amount, substance) => {
-      if (amount === 0) {
+      if (this.#math.isZero(amount)) {
         return;
       }
 
-      const available = this.#inventory.get(substance);
-      if (available === undefined) {
-        scale = 0;
+      if (!this.#inventory.has(substance)) {
+        scale = this.#math.from(0);
+        limitingReagent = substance;
         return;
       }
 
-      scale = Math.min(scale, available / amount);
+      const available = this.#unheldQuantity(substance, context);
+      const ratio = this.#math.divide(available, amount);
+      if (
+        this.#math.compare(scale, 0) > 0 &&
+        this.#math.compare(ratio, scale) < 0
+      ) {
+        scale = ratio;
+        limitingReagent = substance;
+      }
+    });
+    const deltas = new Map();
+    component.products.forEach((product, index) => {
+      this.#accumulateRecipeDeltas(
+        deltas,
+        product,
+        selection.get(product),
+        plannedProduction[index]
+      );
     });
+    const capacityLimit = this.#capacityScale(deltas);
+    if (
+      capacityLimit.scale !== null &&
+      this.#math.compare(capacityLimit.scale, scale) < 0
+    ) {
+      scale = capacityLimit.scale;
+      this.#recordCapacityLimit(context, node, capacityLimit.capacity);
+    }
+    if (node) {
+      node.scale = this.#math.toNumber(scale);
+      node.limitingReagent = limitingReagent;
+    }
+    this.#releaseCatalysts(heldCatalysts, context);
 
-    if (scale <= 0 || !Number.isFinite(scale)) {
+    if (!this.#isPositive(scale)) {
       return 0;
     }
 
-    const scaledProductionPlan = plannedProduction.map(
-      (value) => value * scale
+    const scaledProductionPlan = plannedProduction.map((value) =>
+      this.#math.multiply(value, scale)
     );
 
-    component.products.forEach((product, index) => {
-      const produced = scaledProductionPlan[index];
-      if (produced === 0) {
-        return;
+    this.#traceLineage(() => {
+      component.products.forEach((product, index) => {
+        const produced = scaledProductionPlan[index];
+        if (this.#math.isZero(produced)) {
+          return;
+        }
+
+        const recipe = selection.get(product);
+        this.#setStock(
+          product,
+          this.#math.add(this.#inventory.get(product), produced),
+          "produce",
+          { product, recipe: recipe.name }
+        );
+        node?.synthesized.push({
+          substance: product,
+          quantity: this.#math.toNumber(produced),
+        });
+        this.#creditByproducts(product, recipe, produced, node);
+      });
+      context.exhausted.clear();
+
+      component.products.forEach((product, index) => {
+        const produced = scaledProductionPlan[index];
+        if (this.#math.isZero(produced)) {
+          return;
+        }
+
+        const recipe = selection.get(product);
+        recipe.reagents.forEach((reagent) => {
+          const consumption = this.#math.multiply(reagent.quantity, produced);
+          if (this.#math.isZero(consumption)) {
+            return;
+          }
+
+          const current = this.#inventory.get(reagent.substance);
+          const updated = this.#math.subtract(current, consumption);
+          this.#setStock(
+            reagent.substance,
+            this.#math.snap(updated),
+            "consume",
+            { product, recipe: recipe.name }
+          );
+          node?.consumed.push({
+            substance: reagent.substance,
+            quantity: this.#math.toNumber(consumption),
+          });
+        });
+      });
+    });
+
+    const produced = this.#math.multiply(desiredQuantity, scale);
+    if (node) {
+      node.produced = this.#math.toNumber(produced);
+    }
+    return produced;
+  }
+
+  #openTraceNode(trace, productName, recipe, requestedQuantity) {
+    if (!trace) {
+      return null;
+    }
+
+    const node = {
+      product: productName,
+      recipe: recipe.name,
+      requested: this.#math.toNumber(requestedQuantity),
+      produced: 0,
+      component: null,
+      scale: null,
+      limitingReagent: null,
+      limitingCapacity: null,
+      catalysts: [],
+      synthesized: [],
+      consumed: [],
+      intermediates: [],
+    };
+    trace.intermediates.push(node);
+    return node;
+  }
+
+  #buildReport(productName, requested, produced, root, missing) {
+    const [tree = null] = root.intermediates;
+    const scaledComponents = [];
+    const capacityLimits = [];
+    const collectScaling = (node) => {
+      if (node.component && node.scale < 1) {
+        scaledComponents.push({
+          product: node.product,
+          component: node.component,
+          scale: node.scale,
+          limitingReagent: node.limitingReagent,
+        });
       }
+      if (node.limitingCapacity !== null) {
+        capacityLimits.push({
+          product: node.product,
+          capacity: node.limitingCapacity,
+          requested: node.requested,
+          produced: node.produced,
+        });
+      }
+      node.intermediates.forEach(collectScaling);
+    };
+    if (tree) {
+      collectScaling(tree);
+    }
 
-      this.#inventory.set(
-        product,
-        this.#inventory.get(product) + produced
-      );
+    return {
+      product: productName,
+      requested: this.#math.toNumber(requested),
+      quantity: this.#math.toNumber(produced),
+      tree,
+      missing: Object.fromEntries(missing),
+      scaledComponents,
+      capacityLimits,
+    };
+  }
+
+  #computeShortfall(productName, quantity, orderId) {
+    const missing = new Map();
+    if (this.#math.isZero(quantity) || !this.#recipes.has(productName)) {
+      return missing;
+    }
+
+    const requirements = this.#expandBaseRequirements(
+      new Map([[productName, this.#math.toNumber(quantity)]]),
+      orderId
+    );
+    requirements.forEach((required, substance) => {
+      const shortfall = required - this.#freeQuantity(substance, orderId);
+      if (shortfall > required * QUANTITY_TOLERANCE) {
+        missing.set(substance, shortfall);
+      }
     });
+    return missing;
+  }
 
-    component.products.forEach((product, index) => {
-      const produced = scaledProductionPlan[index];
-      if (produced === 0) {
+  #expandBaseRequirements(orders, orderId = null, allocation = null) {
+    const stock = allocation?.stock ?? new Map();
+    const provided = allocation?.catalysts ?? new Map();
+    const demand = new Map(
+      [...orders].filter(([substance]) => !this.#recipes.has(substance))
+    );
+    const catalystDemand = new Map();
+    const accumulate = (substance, amount) => {
+      demand.set(substance, (demand.get(substance) ?? 0) + amount);
+    };
+    const totalDemand = (substance) =>
+      (demand.get(substance) ?? 0) + (catalystDemand.get(substance) ?? 0);
+
+    for (let i = this.#components.length - 1; i >= 0; i -= 1) {
+      const component = this.#components[i];
+      const netDemand = component.products.map((product) => {
+        const ordered = orders.get(product) ?? 0;
+        const demanded = Math.max(
+          0,
+          totalDemand(product) + (allocation ? ordered : 0)
+        );
+        if (!stock.has(product)) {
+          stock.set(
+            product,
+            this.#math.toNumber(this.#freeQuantity(product, orderId))
+          );
+        }
+        const used = Math.min(stock.get(product), demanded);
+        stock.set(product, stock.get(product) - used);
+        return (allocation ? 0 : ordered) + demanded - used;
+      });
+      if (netDemand.every((amount) => amount <= 0)) {
+        continue;
+      }
+
+      const selection = this.#primarySelection(component);
+      const production = component.isCyclic
+        ? this.#multiplyMatrixVector(
+            this.#componentInverse(component, selection),
+            netDemand
+          )
+        : netDemand;
+
+      component.products.forEach((product, index) => {
+        if (production[index] <= 0) {
+          return;
+        }
+
+        const recipe = selection.get(product);
+        recipe.catalysts.forEach((catalyst) => {
+          const missing =
+            catalyst.quantity - (provided.get(catalyst.substance) ?? 0);
+          if (missing > 0) {
+            catalystDemand.set(
+              catalyst.substance,
+              Math.max(catalystDemand.get(catalyst.substance) ?? 0, missing)
+            );
+          }
+        });
+        recipe.reagents.forEach((reagent) => {
+          if (!component.productSet.has(reagent.substance)) {
+            accumulate(reagent.substance, reagent.quantity * production[index]);
+          }
+        });
+        recipe.byproducts.forEach((byproduct) => {
+          if (!component.productSet.has(byproduct.substance)) {
+            accumulate(
+              byproduct.substance,
+              -byproduct.quantity * production[index]
+            );
+          }
+        });
+      });
+    }
+
+    catalystDemand.forEach((missing, substance) => {
+      provided.set(substance, (provided.get(substance) ?? 0) + missing);
+    });
+
+    const requirements = new Map();
+    [...demand.keys(), ...catalystDemand.keys()].forEach((substance) => {
+      if (!this.#recipes.has(substance)) {
+        requirements.set(substance, totalDemand(substance));
+      }
+    });
+    return requirements;
+  }
+
+  #rollUpCosts(baseCost, { processing = false } = {}) {
+    const costs = new Map();
+    this.#inventory.forEach((_, substance) => {
+      if (!this.#recipes.has(substance)) {
+        costs.set(substance, baseCost(substance));
+      }
+    });
+
+    this.#components.forEach((component) => {
+      if (!component.isCyclic) {
+        const [product] = component.products;
+        const recipeCosts = this.#recipes
+          .get(product)
+          .map(
+            (recipe) =>
+              this.#recipeCost(recipe, costs) +
+              (processing ? recipe.processingCost : 0)
+          );
+        costs.set(product, Math.min(...recipeCosts));
         return;
       }
 
-      const recipe = this.#recipes.get(product);
-      recipe.forEach((reagent) => {
-        const consumption = reagent.quantity * produced;
-        if (consumption === 0) {
+      const selection = this.#primarySelection(component);
+      const inverse = this.#componentInverse(component, selection);
+      const directCosts = component.products.map((product) => {
+        const recipe = selection.get(product);
+        return recipe.reagents.reduce(
+          (sum, reagent) =>
+            component.productSet.has(reagent.substance) ||
+            this.#math.isZero(reagent.quantity)
+              ? sum
+              : sum + reagent.quantity * costs.get(reagent.substance),
+          processing ? recipe.processingCost : 0
+        );
+      });
+      component.products.forEach((product, column) => {
+        if (this.#refusesProduction(product)) {
+          costs.set(product, Infinity);
           return;
         }
 
-        const current = this.#inventory.get(reagent.substance);
-        const updated = current - consumption;
-        this.#inventory.set(
-          reagent.substance,
-          Math.abs(updated) < 1e-12 ? 0 : updated
+        costs.set(
+          product,
+          directCosts.reduce(
+            (sum, cost, row) =>
+              this.#math.isZero(inverse[row][column])
+                ? sum
+                : sum + inverse[row][column] * cost,
+            0
+          )
         );
       });
     });
 
-    return desiredQuantity * scale;
+    return costs;
+  }
+
+  #recipeCost(recipe, costs) {
+    return recipe.reagents.reduce(
+      (sum, reagent) =>
+        reagent.quantity === 0
+          ? sum
+          : sum + reagent.quantity * costs.get(reagent.substance),
+      0
+    );
+  }
+
+  #summarizeTrace(node, totals) {
+    if (!node) {
+      return;
+    }
+
+    node.intermediates.forEach((child) => this.#summarizeTrace(child, totals));
+    node.synthesized.forEach(({ substance, quantity }) => {
+      totals.synthesized[substance] =
+        (totals.synthesized[substance] ?? 0) + quantity;
+    });
+    node.consumed.forEach(({ substance, quantity }) => {
+      totals.consumed[substance] = (totals.consumed[substance] ?? 0) + quantity;
+    });
   }
 
   #analyzeReactionGraph() {
+    const previousLookup = new Map(this.#componentLookup);
     this.#componentLookup.clear();
     this.#components = [];
 
     const graph = new Map();
-    this.#recipes.forEach((recipe, product) => {
+    this.#recipes.forEach((recipes, product) => {
       const edges = new Set();
-      recipe.forEach((reagent) => {
-        if (this.#recipes.has(reagent.substance)) {
-          edges.add(reagent.substance);
-        }
+      recipes.forEach((recipe) => {
+        [...recipe.reagents, ...recipe.catalysts].forEach((reagent) => {
+          if (this.#recipes.has(reagent.substance)) {
+            edges.add(reagent.substance);
+          }
+        });
       });
       graph.set(product, edges);
     });
@@ -470,7 +3975,10 @@ class Laboratory {
           componentProducts.push(current);
         } while (current !== node);
 
-        const component = this.#createComponent(componentProducts);
+        const component = this.#createComponent(
+          componentProducts,
+          previousLookup
+        );
         components.push(component);
         component.products.forEach((product) => {
           this.#componentLookup.set(product, component);
@@ -487,7 +3995,7 @@ class Laboratory {
     this.#components = components;
   }
 
-  #createComponent(products) {
+  #createComponent(products, previousLookup) {
     const componentProducts = products;
     const indexMap = new Map();
     componentProducts.forEach((product, idx) => {
@@ -495,52 +4003,262 @@ class Laboratory {
     });
     const productSet = new Set(componentProducts);
     const hasSelfLoop = componentProducts.some((product) => {
-      const recipe = this.#recipes.get(product) ?? [];
-      return recipe.some(
-        (reagent) => reagent.substance === product && reagent.quantity > 0
+      const recipes = this.#recipes.get(product) ?? [];
+      return recipes.some(
+        (recipe) =>
+          recipe.reagents.some(
+            (reagent) => reagent.substance === product && reagent.quantity > 0
+          ) ||
+          recipe.catalysts.some((catalyst) => catalyst.substance === product)
       );
     });
     const isCyclic = componentProducts.length > 1 || hasSelfLoop;
 
-    const component = {
+    const recipeSets = componentProducts.map((product) =>
+      this.#recipes.get(product)
+    );
+    const previous = previousLookup.get(componentProducts[0]);
+    const isUnchanged =
+      previous?.products.length === componentProducts.length &&
+      previous.products.every(
+        (product, index) =>
+          product === componentProducts[index] &&
+          previous.recipeSets[index] === recipeSets[index]
+      );
+
+    return {
       products: componentProducts,
       indexMap,
       productSet,
       isCyclic,
-      inverse: null,
+      recipeSets,
+      inverses: isUnchanged ? previous.inverses : new Map(),
     };
+  }
+
+  #primarySelection(component) {
+    return new Map(
+      component.products.map((product) => [
+        product,
+        this.#recipes.get(product)[0],
+      ])
+    );
+  }
+
+  #componentInverse(component, selection) {
+    const key = component.products
+      .map((product) => selection.get(product).name)
+      .join("\u0000");
+    if (!component.inverses.has(key)) {
+      component.inverses.set(
+        key,
+        this.#computeComponentInverse(component, selection)
+      );
+    }
 
-    if (isCyclic) {
-      component.inverse = this.#computeComponentInverse(component);
+    return component.inverses.get(key);
+  }
+
+  #assertSolvableComponents() {
+    this.#components.forEach((component) => {
+      if (component.isCyclic) {
+        this.#componentInverse(component, this.#primarySelection(component));
+      }
+    });
+  }
+
+  #assertDiagnostics() {
+    const errors = this.diagnose().filter(
+      (diagnostic) => diagnostic.severity === "error"
+    );
+    if (errors.length === 0) {
+      return;
     }
 
-    return component;
+    const error = new RangeError(
+      `Reaction set failed strict diagnostics: ${errors
+        .map((diagnostic) => diagnostic.message)
+        .join("; ")}`
+    );
+    error.diagnostics = errors;
+    throw error;
+  }
+
+  #componentSelections(component) {
+    const primary = this.#primarySelection(component);
+    const selections = [{ selection: primary, recipe: null }];
+    component.products.forEach((product) => {
+      this.#recipes
+        .get(product)
+        .slice(1)
+        .forEach((recipe) => {
+          selections.push({
+            selection: new Map(primary).set(product, recipe),
+            recipe: { product, name: recipe.name },
+          });
+        });
+    });
+    return selections;
+  }
+
+  #findUnreachableProducts(nonProductive) {
+    const reachable = new Set(
+      [...this.#inventory.keys()].filter(
+        (substance) => !this.#recipes.has(substance)
+      )
+    );
+    const unreachable = new Map();
+
+    this.#components.forEach((component) => {
+      if (nonProductive.has(component)) {
+        component.products.forEach((product) => {
+          unreachable.set(product, "its cycle is non-productive");
+        });
+        return;
+      }
+
+      const blocked = new Map();
+      component.products.forEach((product) => {
+        const causes = this.#recipes.get(product).map((recipe) => {
+          const reagent = recipe.reagents.find(
+            ({ substance, quantity }) =>
+              quantity > 0 &&
+              !component.productSet.has(substance) &&
+              !reachable.has(substance)
+          );
+          if (reagent) {
+            return `${product}/${recipe.name} requires ${reagent.substance}, which can never be made`;
+          }
+
+          const catalyst = recipe.catalysts.find(
+            ({ substance }) =>
+              component.productSet.has(substance) || !reachable.has(substance)
+          );
+          if (catalyst) {
+            return component.productSet.has(catalyst.substance)
+              ? `${product}/${recipe.name} requires the catalyst ${catalyst.substance}, which can only be made through ${product} itself`
+              : `${product}/${recipe.name} requires the catalyst ${catalyst.substance}, which can never be made`;
+          }
+
+          return null;
+        });
+        if (causes.every((cause) => cause !== null)) {
+          blocked.set(product, causes.join("; "));
+        }
+      });
+
+      if (blocked.size === 0) {
+        component.products.forEach((product) => reachable.add(product));
+        return;
+      }
+
+      const [first] = blocked.keys();
+      component.products.forEach((product) => {
+        unreachable.set(
+          product,
+          blocked.get(product) ??
+            `it depends on ${first} within its cycle, which can never be made`
+        );
+      });
+    });
+
+    return unreachable;
   }
 
-  #computeComponentInverse(component) {
+  #componentDependencyMatrix(component, selection) {
     const size = component.products.length;
     const dependencyMatrix = Array.from({ length: size }, () =>
       Array(size).fill(0)
     );
 
     component.products.forEach((product, column) => {
-      const recipe = this.#recipes.get(product);
-      recipe.forEach((reagent) => {
+      const recipe = selection.get(product);
+      recipe.reagents.forEach((reagent) => {
         const row = component.indexMap.get(reagent.substance);
         if (row !== undefined) {
-          dependencyMatrix[row][column] += reagent.quantity;
+          dependencyMatrix[row][column] = this.#math.add(
+            dependencyMatrix[row][column],
+            reagent.quantity
+          );
+        }
+      });
+      recipe.byproducts.forEach((byproduct) => {
+        const row = component.indexMap.get(byproduct.substance);
+        if (row !== undefined) {
+          dependencyMatrix[row][column] = this.#math.subtract(
+            dependencyMatrix[row][column],
+            byproduct.quantity
+          );
         }
       });
     });
+    return dependencyMatrix;
+  }
+
+  #spectralRadius(matrix) {
+    const normOf = (value) =>
+      Math.max(
+        ...value.map((row) => row.reduce((sum, x) => sum + Math.abs(x), 0))
+      );
+
+    let norm = normOf(matrix);
+    if (norm === 0) {
+      return 0;
+    }
+
+    let power = matrix.map((row) => row.map((value) => value / norm));
+    let logScale = Math.log(norm);
+    let exponent = 1;
+    for (let i = 0; i < SPECTRAL_ITERATIONS; i += 1) {
+      const squared = this.#multiplyMatrices(power, power);
+      norm = normOf(squared);
+      if (norm === 0) {
+        return 0;
+      }
+
+      power = squared.map((row) => row.map((value) => value / norm));
+      logScale = 2 * logScale + Math.log(norm);
+      exponent *= 2;
+    }
+
+    return Math.exp(logScale / exponent);
+  }
+
+  #multiplyMatrices(left, right) {
+    return left.map((row) =>
+      right[0].map((_, col) =>
+        row.reduce((sum, value, index) => sum + value * right[index][col], 0)
+      )
+    );
+  }
+
+  #computeComponentInverse(component, selection) {
+    const size = component.products.length;
+    const dependencyMatrix = this.#componentDependencyMatrix(
+      component,
+      selection
+    );
 
     const systemMatrix = this.#identityMatrix(size);
     for (let row = 0; row < size; row += 1) {
       for (let col = 0; col < size; col += 1) {
-        systemMatrix[row][col] -= dependencyMatrix[row][col];
+        systemMatrix[row][col] = this.#math.subtract(
+          systemMatrix[row][col],
+          dependencyMatrix[row][col]
+        );
       }
     }
 
-    return this.#invertMatrix(systemMatrix);
+    const inverse = this.#invertMatrix(systemMatrix);
+    if (!inverse) {
+      throw new RangeError(
+        `Cycle ${component.products.join(
+          ", "
+        )} is singular and cannot be resolved: it consumes exactly as much as it yields`
+      );
+    }
+
+    return inverse;
   }
 
   #identityMatrix(size) {
@@ -569,10 +4287,12 @@ class Laboratory {
       }
 
       const pivotValue = augmented[pivotRow][col];
-      if (Math.abs(pivotValue) < Number.EPSILON) {
-        throw new Error(
-          "Circular reaction matrix is singular and cannot be resolved"
-        );
+      if (
+        this.#math.exact
+          ? this.#math.isZero(pivotValue)
+          : Math.abs(pivotValue) < Number.EPSILON
+      ) {
+        return null;
       }
 
       if (pivotRow !== col) {
@@ -584,7 +4304,7 @@ class Laboratory {
 
       const pivotFactor = augmented[col][col];
       for (let j = 0; j < 2 * n; j += 1) {
-        augmented[col][j] /= pivotFactor;
+        augmented[col][j] = this.#math.divide(augmented[col][j], pivotFactor);
       }
 
       for (let row = 0; row < n; row += 1) {
@@ -594,7 +4314,10 @@ class Laboratory {
 
         const factor = augmented[row][col];
         for (let j = 0; j < 2 * n; j += 1) {
-          augmented[row][j] -= factor * augmented[col][j];
+          augmented[row][j] = this.#math.subtract(
+            augmented[row][j],
+            this.#math.multiply(factor, augmented[col][j])
+          );
         }
       }
     }
@@ -604,9 +4327,19 @@ class Laboratory {
 
   #multiplyMatrixVector(matrix, vector) {
     return matrix.map((row) =>
-      row.reduce((sum, value, index) => sum + value * vector[index], 0)
+      row.reduce(
+        (sum, value, index) =>
+          this.#math.add(sum, this.#math.multiply(value, vector[index])),
+        0
+      )
     );
   }
 }
 
-module.exports = { Laboratory };
+module.exports = {
+  Laboratory,
+  InsufficientStockError,
+  OverdraftError,
+  CapacityExceededError,
+  RecipeSyntaxError,
+};
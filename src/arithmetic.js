@@ -0,0 +1,63 @@
+const { Rational } = require("./rational");
+
+const NUMERIC_MODES = new Set(["float", "rational"]);
+const SNAP_THRESHOLD = 1e-12;
+const APPROXIMATION_TOLERANCE = 1e-9;
+
+const floatArithmetic = {
+  exact: false,
+  accepts: () => false,
+  from: (value) => value,
+  add: (left, right) => left + right,
+  subtract: (left, right) => left - right,
+  multiply: (left, right) => left * right,
+  divide: (left, right) => left / right,
+  compare: (left, right) => Math.sign(left - right),
+  min: (left, right) => Math.min(left, right),
+  max: (left, right) => Math.max(left, right),
+  isZero: (value) => value === 0,
+  snap: (value) => (Math.abs(value) < SNAP_THRESHOLD ? 0 : value),
+  toNumber: (value) => value,
+  approximate: (value) => value,
+  serialize: (value) => value,
+};
+
+const rationalArithmetic = {
+  exact: true,
+  accepts: (value) => value instanceof Rational || Rational.isValid(value),
+  from: (value) => Rational.from(value),
+  add: (left, right) => Rational.from(left).add(right),
+  subtract: (left, right) => Rational.from(left).subtract(right),
+  multiply: (left, right) => Rational.from(left).multiply(right),
+  divide: (left, right) => Rational.from(left).divide(right),
+  compare: (left, right) => Rational.from(left).compare(right),
+  min: (left, right) =>
+    Rational.from(left).compare(right) <= 0
+      ? Rational.from(left)
+      : Rational.from(right),
+  max: (left, right) =>
+    Rational.from(left).compare(right) >= 0
+      ? Rational.from(left)
+      : Rational.from(right),
+  isZero: (value) => Rational.from(value).isZero(),
+  snap: (value) => value,
+  toNumber: (value) => Number(value),
+  approximate: (value) => Rational.approximate(value, APPROXIMATION_TOLERANCE),
+  serialize: (value) => {
+    const exact = Rational.from(value);
+    const approximation = exact.toNumber();
+    return Rational.from(approximation).equals(exact)
+      ? approximation
+      : exact.toFraction();
+  },
+};
+
+function createArithmetic(mode = "float") {
+  if (!NUMERIC_MODES.has(mode)) {
+    throw new RangeError(`Unknown numeric mode: ${String(mode)}`);
+  }
+
+  return mode === "rational" ? rationalArithmetic : floatArithmetic;
+}
+
+module.exports = { createArithmetic };
@@ -0,0 +1,395 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { Laboratory } = require("./Laboratory");
+const { InsufficientStockError } = require("./errors");
+
+const DEFAULT_STATE_FILE = "lab.json";
+const MUTATING_COMMANDS = new Set(["add", "make"]);
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  invalidInput: 3,
+  outOfRange: 4,
+  insufficientStock: 5,
+  notFound: 6,
+  syntax: 7,
+};
+
+const USAGE = `Usage: lab [--file <state.json>] [--json] <command> [arguments]
+
+Commands:
+  init <recipes.txt> [--force]     create the state file from a recipe file
+  stock                            list the stock of every substance
+  add <substance> <quantity>       add stock (e.g. 250 or "250 g")
+  make <product> <quantity>        make a product (--atomic for all-or-nothing)
+  plan <product> <quantity>        show what make would do without changing stock
+  graph [--format dot|mermaid]     print the reaction graph
+  repl                             run commands interactively
+  help                             show this message`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+async function runCli(argv, io = {}) {
+  const stdout = io.stdout ?? process.stdout;
+  const stderr = io.stderr ?? process.stderr;
+  const cwd = io.cwd ?? process.cwd();
+
+  try {
+    const { command, args, flags } = parseArguments(argv);
+    const stateFile = path.resolve(cwd, flags.file ?? DEFAULT_STATE_FILE);
+
+    if (command === "help") {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.success;
+    }
+
+    if (command === "init") {
+      const lab = initializeLab(args, flags, cwd, stateFile);
+      print(stdout, flags, lab.toJSON(), () => `Created ${stateFile}`);
+      return EXIT_CODES.success;
+    }
+
+    const lab = loadLab(stateFile);
+    if (command === "repl") {
+      return await runRepl(lab, stateFile, io.stdin ?? process.stdin, {
+        stdout,
+        stderr,
+        flags,
+      });
+    }
+
+    runCommand(lab, command, args, flags, stdout);
+    if (MUTATING_COMMANDS.has(command)) {
+      saveLab(lab, stateFile);
+    }
+    return EXIT_CODES.success;
+  } catch (error) {
+    return reportError(error, stderr);
+  }
+}
+
+const COMMANDS = {
+  stock: {
+    arity: 0,
+    run: (lab, args, flags, stdout) => {
+      const { substances } = lab.getReactionGraph();
+      print(
+        stdout,
+        flags,
+        Object.fromEntries(
+          substances.map(({ name, quantity }) => [name, quantity])
+        ),
+        () =>
+          formatTable(
+            ["substance", "type", "quantity"],
+            substances.map(({ name, type, quantity }) => [name, type, quantity])
+          )
+      );
+    },
+  },
+  add: {
+    arity: 2,
+    run: (lab, [substance, quantity], flags, stdout) => {
+      const updated = lab.add(substance, parseQuantity(quantity));
+      print(
+        stdout,
+        flags,
+        { substance, quantity: updated },
+        () => `${substance}: ${updated}`
+      );
+    },
+  },
+  make: {
+    arity: 2,
+    run: (lab, [product, quantity], flags, stdout) => {
+      const report = lab.make(product, parseQuantity(quantity), {
+        atomic: Boolean(flags.atomic),
+        report: true,
+      });
+      print(stdout, flags, report, () => {
+        const lines = [
+          `Made ${report.quantity} ${report.product} (requested ${report.requested})`,
+        ];
+        const missing = Object.entries(report.missing);
+        if (missing.length > 0) {
+          lines.push(
+            "Missing:",
+            formatTable(["substance", "quantity"], missing)
+          );
+        }
+        if (report.capacityLimits.length > 0) {
+          lines.push(
+            "Limited by capacity:",
+            formatTable(
+              ["product", "capacity", "requested", "produced"],
+              report.capacityLimits.map(
+                ({ product: limited, capacity, requested, produced }) => [
+                  limited,
+                  capacity,
+                  requested,
+                  produced,
+                ]
+              )
+            )
+          );
+        }
+        return lines.join("\n");
+      });
+    },
+  },
+  plan: {
+    arity: 2,
+    run: (lab, [product, quantity], flags, stdout) => {
+      const plan = lab.plan(product, parseQuantity(quantity));
+      print(stdout, flags, plan, () =>
+        [
+          `Would make ${plan.quantity} ${plan.product} (requested ${plan.requested})`,
+          formatTable(
+            ["substance", "before", "after", "delta"],
+            Object.entries(plan.changes).map(
+              ([substance, { before, after, delta }]) => [
+                substance,
+                before,
+                after,
+                delta,
+              ]
+            )
+          ),
+        ].join("\n")
+      );
+    },
+  },
+  graph: {
+    arity: 0,
+    run: (lab, args, flags, stdout) => {
+      print(stdout, flags, lab.getReactionGraph(), () =>
+        lab.exportGraph(flags.format ?? "dot").trimEnd()
+      );
+    },
+  },
+};
+
+function parseArguments(argv) {
+  const flags = {};
+  const positional = [];
+  for (let index = 0; index < argv.length; index += 1) {
+    const argument = argv[index];
+    if (
+      argument === "--json" ||
+      argument === "--atomic" ||
+      argument === "--force"
+    ) {
+      flags[argument.slice(2)] = true;
+    } else if (
+      argument === "--file" ||
+      argument === "-f" ||
+      argument === "--format"
+    ) {
+      const value = argv[index + 1];
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${argument}`);
+      }
+      flags[argument === "--format" ? "format" : "file"] = value;
+      index += 1;
+    } else if (argument === "--help" || argument === "-h") {
+      positional.unshift("help");
+    } else if (
+      argument.startsWith("-") &&
+      argument.length > 1 &&
+      Number.isNaN(Number(argument))
+    ) {
+      throw new UsageError(`Unknown option: ${argument}`);
+    } else {
+      positional.push(argument);
+    }
+  }
+
+  const [command = "help", ...args] = positional;
+  return { command, args, flags };
+}
+
+function runCommand(lab, command, args, flags, stdout) {
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  if (args.length !== definition.arity) {
+    throw new UsageError(
+      `${command} expects ${definition.arity} argument(s), received ${args.length}`
+    );
+  }
+
+  definition.run(lab, args, flags, stdout);
+}
+
+function initializeLab(args, flags, cwd, stateFile) {
+  if (args.length !== 1) {
+    throw new UsageError("init expects the path of a recipe file");
+  }
+
+  if (fs.existsSync(stateFile) && !flags.force) {
+    throw new UsageError(
+      `${stateFile} already exists (use --force to overwrite it)`
+    );
+  }
+
+  const text = readFile(path.resolve(cwd, args[0]));
+  const lab = Laboratory.fromRecipes(text);
+  saveLab(lab, stateFile);
+  return lab;
+}
+
+function loadLab(stateFile) {
+  return Laboratory.fromJSON(readFile(stateFile));
+}
+
+function saveLab(lab, stateFile) {
+  const temporaryFile = `${stateFile}.tmp`;
+  fs.writeFileSync(temporaryFile, `${JSON.stringify(lab, null, 2)}\n`);
+  fs.renameSync(temporaryFile, stateFile);
+}
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ReferenceError(`File not found: ${file}`);
+    }
+    throw error;
+  }
+}
+
+function runRepl(lab, stateFile, stdin, { stdout, stderr, flags }) {
+  const prompt = readline.createInterface({
+    input: stdin,
+    output: stdout,
+    terminal: false,
+  });
+  let exitCode = EXIT_CODES.success;
+
+  return new Promise((resolve) => {
+    prompt.on("line", (line) => {
+      const words = splitWords(line);
+      if (words.length === 0) {
+        return;
+      }
+
+      if (words[0] === "exit" || words[0] === "quit") {
+        prompt.close();
+        return;
+      }
+
+      try {
+        const { command, args, flags: lineFlags } = parseArguments(words);
+        if (command === "help") {
+          stdout.write(`${USAGE}\n`);
+          return;
+        }
+
+        runCommand(lab, command, args, { ...flags, ...lineFlags }, stdout);
+        if (MUTATING_COMMANDS.has(command)) {
+          saveLab(lab, stateFile);
+        }
+        exitCode = EXIT_CODES.success;
+      } catch (error) {
+        exitCode = reportError(error, stderr);
+      }
+    });
+    prompt.on("close", () => resolve(exitCode));
+  });
+}
+
+function splitWords(line) {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match = pattern.exec(line);
+  while (match) {
+    words.push(match[1] ?? match[2] ?? match[3]);
+    match = pattern.exec(line);
+  }
+  return words;
+}
+
+function parseQuantity(value) {
+  if (value.trim() === "") {
+    throw new TypeError("Quantity must not be empty");
+  }
+
+  const quantity = Number(value);
+  return Number.isNaN(quantity) ? value : quantity;
+}
+
+function print(stdout, flags, data, formatText) {
+  stdout.write(
+    flags.json ? `${JSON.stringify(data, null, 2)}\n` : `${formatText()}\n`
+  );
+}
+
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) =>
+    row.map((cell) => String(cell))
+  );
+  const widths = headers.map((_, column) =>
+    Math.max(...cells.map((row) => row[column].length))
+  );
+  const numeric = headers.map(
+    (_, column) =>
+      rows.length > 0 && rows.every((row) => typeof row[column] === "number")
+  );
+
+  return cells
+    .map((row) =>
+      row
+        .map((cell, column) =>
+          numeric[column]
+            ? cell.padStart(widths[column])
+            : cell.padEnd(widths[column])
+        )
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.usage;
+  }
+  if (error instanceof InsufficientStockError) {
+    return EXIT_CODES.insufficientStock;
+  }
+  if (error instanceof SyntaxError) {
+    return EXIT_CODES.syntax;
+  }
+  if (error instanceof TypeError) {
+    return EXIT_CODES.invalidInput;
+  }
+  if (error instanceof RangeError) {
+    return EXIT_CODES.outOfRange;
+  }
+  if (error instanceof ReferenceError) {
+    return EXIT_CODES.notFound;
+  }
+  return EXIT_CODES.failure;
+}
+
+function reportError(error, stderr) {
+  const exitCode = exitCodeFor(error);
+  stderr.write(`lab: ${error.message}\n`);
+  if (exitCode === EXIT_CODES.usage) {
+    stderr.write("Run 'lab help' for usage.\n");
+  }
+  return exitCode;
+}
+
+module.exports = { EXIT_CODES, runCli };
@@ -0,0 +1,54 @@
+class InsufficientStockError extends RangeError {
+  constructor(substance, requested, available, message) {
+    super(
+      message ??
+        `Insufficient stock of ${substance}: requested ${requested}, available ${available}`
+    );
+    this.name = "InsufficientStockError";
+    this.substance = substance;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+class OverdraftError extends InsufficientStockError {
+  constructor(substance, requested, available) {
+    super(
+      substance,
+      requested,
+      available,
+      `Cannot withdraw ${requested} ${substance}: only ${available} available`
+    );
+    this.name = "OverdraftError";
+  }
+}
+
+class CapacityExceededError extends InsufficientStockError {
+  constructor(substance, requested, available, capacity, message) {
+    super(
+      substance,
+      requested,
+      available,
+      message ??
+        `Capacity of ${capacity} exceeded: requested ${requested} ${substance}, only ${available} fits`
+    );
+    this.name = "CapacityExceededError";
+    this.capacity = capacity;
+  }
+}
+
+class RecipeSyntaxError extends SyntaxError {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "RecipeSyntaxError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+module.exports = {
+  InsufficientStockError,
+  OverdraftError,
+  CapacityExceededError,
+  RecipeSyntaxError,
+};
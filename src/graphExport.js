@@ -0,0 +1,160 @@
+const GRAPH_FORMATS = new Set(["dot", "mermaid"]);
+
+const STYLES = {
+  base: { shape: "ellipse", fill: "#dbeafe" },
+  product: { shape: "box", fill: "#fef3c7" },
+  empty: { fill: "#f3f4f6" },
+};
+
+function renderGraph(graph, format) {
+  if (!GRAPH_FORMATS.has(format)) {
+    throw new RangeError(`Unknown graph format: ${String(format)}`);
+  }
+
+  return format === "dot" ? renderDot(graph) : renderMermaid(graph);
+}
+
+function renderDot(graph) {
+  const escape = (value) =>
+    String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  const quote = (value) => `"${escape(value)}"`;
+  const reactionId = (reaction) =>
+    quote(`${reaction.product}/${reaction.recipe}`);
+
+  const lines = ["digraph laboratory {", "  rankdir=LR;"];
+  graph.substances.forEach((substance) => {
+    const style = STYLES[substance.type];
+    const fill = substance.quantity > 0 ? style.fill : STYLES.empty.fill;
+    const rounded = substance.type === "product" ? "rounded," : "";
+    const label = `${escape(substance.name)}\\n${formatQuantity(
+      substance.quantity
+    )}`;
+    lines.push(
+      `  ${quote(substance.name)} [label="${label}", shape=${style.shape}, ` +
+        `style="${rounded}filled", fillcolor="${fill}"];`
+    );
+  });
+
+  graph.reactions.forEach((reaction) => {
+    lines.push(
+      `  ${reactionId(reaction)} [label=${quote(
+        reactionLabel(reaction)
+      )}, shape=diamond, fontsize=10];`
+    );
+    reaction.reagents.forEach(({ substance, quantity, role }) => {
+      const style = role === "catalyst" ? ", style=dashed" : "";
+      lines.push(
+        `  ${quote(substance)} -> ${reactionId(reaction)} [label=${quote(
+          formatQuantity(quantity)
+        )}${style}];`
+      );
+    });
+    reaction.outputs.forEach(({ substance, quantity }) => {
+      lines.push(
+        `  ${reactionId(reaction)} -> ${quote(substance)} [label=${quote(
+          formatQuantity(quantity)
+        )}];`
+      );
+    });
+  });
+
+  graph.cycles.forEach((products, index) => {
+    lines.push(`  subgraph cluster_${index} {`);
+    lines.push(`    label=${quote(`cycle ${index + 1}`)};`);
+    lines.push("    style=dashed;");
+    products.forEach((product) => {
+      lines.push(`    ${quote(product)};`);
+      graph.reactions
+        .filter((reaction) => reaction.product === product)
+        .forEach((reaction) => {
+          lines.push(`    ${reactionId(reaction)};`);
+        });
+    });
+    lines.push("  }");
+  });
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+function renderMermaid(graph) {
+  const escape = (value) => String(value).replace(/"/g, "#quot;");
+  const substanceIds = new Map(
+    graph.substances.map((substance, index) => [substance.name, `s${index}`])
+  );
+  const reactionIds = new Map(
+    graph.reactions.map((reaction, index) => [reaction, `r${index}`])
+  );
+
+  const lines = ["flowchart LR"];
+  graph.substances.forEach((substance) => {
+    const label = escape(
+      `${substance.name}: ${formatQuantity(substance.quantity)}`
+    );
+    const id = substanceIds.get(substance.name);
+    lines.push(
+      substance.type === "base"
+        ? `  ${id}(["${label}"])`
+        : `  ${id}["${label}"]`
+    );
+  });
+
+  graph.reactions.forEach((reaction) => {
+    const id = reactionIds.get(reaction);
+    lines.push(`  ${id}{{"${escape(reactionLabel(reaction))}"}}`);
+    reaction.reagents.forEach(({ substance, quantity, role }) => {
+      const label = formatQuantity(quantity);
+      const arrow =
+        role === "catalyst" ? `-. "${label}" .->` : `-- "${label}" -->`;
+      lines.push(`  ${substanceIds.get(substance)} ${arrow} ${id}`);
+    });
+    reaction.outputs.forEach(({ substance, quantity }) => {
+      const target = substanceIds.get(substance);
+      lines.push(`  ${id} -- "${formatQuantity(quantity)}" --> ${target}`);
+    });
+  });
+
+  graph.cycles.forEach((products, index) => {
+    lines.push(`  subgraph cycle${index + 1} ["cycle ${index + 1}"]`);
+    products.forEach((product) => {
+      lines.push(`    ${substanceIds.get(product)}`);
+      graph.reactions
+        .filter((reaction) => reaction.product === product)
+        .forEach((reaction) => {
+          lines.push(`    ${reactionIds.get(reaction)}`);
+        });
+    });
+    lines.push("  end");
+  });
+
+  lines.push(`  classDef base fill:${STYLES.base.fill}`);
+  lines.push(`  classDef product fill:${STYLES.product.fill}`);
+  lines.push(`  classDef empty fill:${STYLES.empty.fill},stroke-dasharray:4 2`);
+  ["base", "product", "empty"].forEach((className) => {
+    const members = graph.substances
+      .filter((substance) =>
+        className === "empty"
+          ? substance.quantity <= 0
+          : substance.type === className
+      )
+      .map((substance) => substanceIds.get(substance.name));
+    if (members.length > 0) {
+      lines.push(`  class ${members.join(",")} ${className}`);
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+function formatQuantity(quantity) {
+  return String(Number(quantity.toPrecision(12)));
+}
+
+function reactionLabel(reaction) {
+  const name = `${reaction.product}/${reaction.recipe}`;
+  return reaction.efficiency < 1
+    ? `${name} (${Math.round(reaction.efficiency * 100)}%)`
+    : name;
+}
+
+module.exports = { renderGraph };
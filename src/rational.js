@@ -0,0 +1,256 @@
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+const FRACTION_PATTERN = /^([+-]?\d+)\s*\/\s*(\d+)$/;
+const SIGNIFICANT_DIGITS = 20;
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+const MAX_APPROXIMATION_STEPS = 64;
+
+class Rational {
+  #numerator;
+  #denominator;
+
+  constructor(numerator, denominator = 1n) {
+    if (typeof numerator !== "bigint" || typeof denominator !== "bigint") {
+      throw new TypeError("Rational numbers are built from BigInt values");
+    }
+
+    if (denominator === 0n) {
+      throw new RangeError("Rational denominator cannot be zero");
+    }
+
+    const sign = denominator < 0n ? -1n : 1n;
+    const divisor = gcd(absolute(numerator), absolute(denominator)) || 1n;
+    this.#numerator = (sign * numerator) / divisor;
+    this.#denominator = (sign * denominator) / divisor;
+  }
+
+  static from(value) {
+    if (value instanceof Rational) {
+      return value;
+    }
+
+    if (typeof value === "bigint") {
+      return new Rational(value);
+    }
+
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) {
+        throw new TypeError(
+          `Rational numbers must be finite: ${String(value)}`
+        );
+      }
+      return Rational.parse(String(value));
+    }
+
+    if (typeof value === "string") {
+      return Rational.parse(value);
+    }
+
+    throw new TypeError(
+      `Cannot convert to a rational number: ${String(value)}`
+    );
+  }
+
+  static isValid(text) {
+    return (
+      typeof text === "string" &&
+      (FRACTION_PATTERN.test(text.trim()) || isDecimal(text.trim()))
+    );
+  }
+
+  static parse(text) {
+    const trimmed = String(text).trim();
+    const fraction = FRACTION_PATTERN.exec(trimmed);
+    if (fraction) {
+      return new Rational(BigInt(fraction[1]), BigInt(fraction[2]));
+    }
+
+    if (!isDecimal(trimmed)) {
+      throw new TypeError(`Invalid rational number: ${String(text)}`);
+    }
+
+    const [, sign, whole, decimals = "", exponent = "0"] =
+      DECIMAL_PATTERN.exec(trimmed);
+    const digits = BigInt(`${whole}${decimals}` || "0");
+    const scale = Number(exponent) - decimals.length;
+    const numerator = sign === "-" ? -digits : digits;
+    return scale >= 0
+      ? new Rational(numerator * 10n ** BigInt(scale))
+      : new Rational(numerator, 10n ** BigInt(-scale));
+  }
+
+  static approximate(value, tolerance) {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Rational numbers must be finite: ${String(value)}`);
+    }
+
+    const target = Math.abs(value);
+    let [numerator, previousNumerator] = [1n, 0n];
+    let [denominator, previousDenominator] = [0n, 1n];
+    let remainder = target;
+    for (let step = 0; step < MAX_APPROXIMATION_STEPS; step += 1) {
+      const whole = BigInt(Math.floor(remainder));
+      [numerator, previousNumerator] = [
+        whole * numerator + previousNumerator,
+        numerator,
+      ];
+      [denominator, previousDenominator] = [
+        whole * denominator + previousDenominator,
+        denominator,
+      ];
+      const fraction = remainder - Math.floor(remainder);
+      const error = Math.abs(Number(numerator) / Number(denominator) - target);
+      if (fraction === 0 || error <= tolerance * Math.max(1, target)) {
+        break;
+      }
+      remainder = 1 / fraction;
+    }
+
+    return new Rational(value < 0 ? -numerator : numerator, denominator);
+  }
+
+  get numerator() {
+    return this.#numerator;
+  }
+
+  get denominator() {
+    return this.#denominator;
+  }
+
+  add(other) {
+    const value = Rational.from(other);
+    return new Rational(
+      this.#numerator * value.#denominator +
+        value.#numerator * this.#denominator,
+      this.#denominator * value.#denominator
+    );
+  }
+
+  subtract(other) {
+    return this.add(Rational.from(other).negate());
+  }
+
+  multiply(other) {
+    const value = Rational.from(other);
+    return new Rational(
+      this.#numerator * value.#numerator,
+      this.#denominator * value.#denominator
+    );
+  }
+
+  divide(other) {
+    const value = Rational.from(other);
+    if (value.#numerator === 0n) {
+      throw new RangeError("Cannot divide a rational number by zero");
+    }
+
+    return new Rational(
+      this.#numerator * value.#denominator,
+      this.#denominator * value.#numerator
+    );
+  }
+
+  negate() {
+    return new Rational(-this.#numerator, this.#denominator);
+  }
+
+  abs() {
+    return this.#numerator < 0n ? this.negate() : this;
+  }
+
+  sign() {
+    if (this.#numerator === 0n) {
+      return 0;
+    }
+    return this.#numerator < 0n ? -1 : 1;
+  }
+
+  compare(other) {
+    return this.subtract(other).sign();
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  isZero() {
+    return this.#numerator === 0n;
+  }
+
+  toNumber() {
+    const numerator = absolute(this.#numerator);
+    const sign = this.#numerator < 0n ? -1 : 1;
+    if (numerator <= MAX_SAFE && this.#denominator <= MAX_SAFE) {
+      return (sign * Number(numerator)) / Number(this.#denominator);
+    }
+
+    const magnitude =
+      numerator.toString().length - this.#denominator.toString().length;
+    const shift = SIGNIFICANT_DIGITS - magnitude;
+    const scaled =
+      shift >= 0
+        ? (numerator * 10n ** BigInt(shift)) / this.#denominator
+        : numerator / (this.#denominator * 10n ** BigInt(-shift));
+    return sign * Number(`${scaled}e${-shift}`);
+  }
+
+  toFraction() {
+    return this.#denominator === 1n
+      ? String(this.#numerator)
+      : `${this.#numerator}/${this.#denominator}`;
+  }
+
+  toDecimal(digits = SIGNIFICANT_DIGITS) {
+    if (!Number.isInteger(digits) || digits < 0) {
+      throw new RangeError(
+        `Decimal digits must be a non-negative integer: ${String(digits)}`
+      );
+    }
+
+    const scale = 10n ** BigInt(digits);
+    const scaled = absolute(this.#numerator) * scale;
+    let rounded = scaled / this.#denominator;
+    if (2n * (scaled % this.#denominator) >= this.#denominator) {
+      rounded += 1n;
+    }
+
+    const text = rounded.toString().padStart(digits + 1, "0");
+    const whole = text.slice(0, text.length - digits);
+    const decimals = text.slice(text.length - digits).replace(/0+$/, "");
+    const sign = this.#numerator < 0n && rounded !== 0n ? "-" : "";
+    return decimals.length > 0
+      ? `${sign}${whole}.${decimals}`
+      : `${sign}${whole}`;
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return this.toFraction();
+  }
+
+  toJSON() {
+    return this.toFraction();
+  }
+}
+
+function isDecimal(text) {
+  const match = DECIMAL_PATTERN.exec(text);
+  return match !== null && (match[2] !== "" || (match[3] ?? "") !== "");
+}
+
+function absolute(value) {
+  return value < 0n ? -value : value;
+}
+
+function gcd(left, right) {
+  let a = left;
+  let b = right;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+module.exports = { Rational };
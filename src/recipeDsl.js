@@ -0,0 +1,461 @@
+const { RecipeSyntaxError } = require("./errors");
+const { isUnit, parseQuantityWithUnit } = require("./units");
+
+const CATALYST_KEYWORD = "with";
+const SUBSTANCES_KEYWORD = "substances";
+const OPTION_PROPERTIES = new Map([
+  ["efficiency", "efficiency"],
+  ["cost", "processingCost"],
+]);
+const PUNCTUATION = new Set(["+", "=", "[", "]", "(", ")", ",", ":"]);
+const NUMBER_PATTERN = /^(?:(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?|\d+\/\d+)$/i;
+const FRACTION_PATTERN = /^\d+\/\d+$/;
+
+function parseRecipes(text) {
+  if (typeof text !== "string") {
+    throw new TypeError("Recipe text must be a string");
+  }
+
+  const declared = [];
+  const products = new Map();
+  text.split(/\r?\n/).forEach((source, index) => {
+    const tokens = tokenize(source, index + 1);
+    if (tokens.length === 1) {
+      return;
+    }
+
+    const line = parseLine(tokens);
+    if (line.type === "substances") {
+      declared.push(...line.names);
+      return;
+    }
+
+    const [primary] = line.outputs;
+    const key = primary.name.toLowerCase();
+    const entry = products.get(key) ?? { name: primary.name, recipes: [] };
+    const previous = entry.recipes[0];
+    if (previous && (!previous.recipe || !line.recipe)) {
+      throw new RecipeSyntaxError(
+        `Reaction for ${primary.name} is already defined on line ${previous.line}; name alternative recipes with [recipe]`,
+        primary.line,
+        primary.column
+      );
+    }
+
+    if (
+      line.recipe &&
+      entry.recipes.some(
+        ({ recipe }) =>
+          recipe.name.toLowerCase() === line.recipe.name.toLowerCase()
+      )
+    ) {
+      throw new RecipeSyntaxError(
+        `Duplicate recipe name for ${primary.name}: ${line.recipe.name}`,
+        line.recipe.line,
+        line.recipe.column
+      );
+    }
+
+    entry.recipes.push({ ...line, line: primary.line, column: primary.column });
+    products.set(key, entry);
+  });
+
+  const substances = [];
+  const seen = new Set();
+  declared.forEach(({ name, line, column }) => {
+    const key = name.toLowerCase();
+    if (products.has(key)) {
+      throw new RecipeSyntaxError(
+        `${name} is produced by a reaction and cannot be declared as a substance`,
+        line,
+        column
+      );
+    }
+
+    if (seen.has(key)) {
+      throw new RecipeSyntaxError(
+        `Duplicate substance declaration: ${name}`,
+        line,
+        column
+      );
+    }
+
+    seen.add(key);
+    substances.push(name);
+  });
+
+  const reactions = {};
+  const locations = {};
+  products.forEach(({ name, recipes }) => {
+    recipes.forEach(({ outputs, reagents, catalysts }) => {
+      [...outputs, ...reagents, ...catalysts].forEach((term) => {
+        const key = term.name.toLowerCase();
+        if (!products.has(key) && !seen.has(key)) {
+          seen.add(key);
+          substances.push(term.name);
+        }
+      });
+    });
+
+    const [first] = recipes;
+    locations[name] = { line: first.line, column: first.column };
+    reactions[name] = first.recipe
+      ? {
+          recipes: Object.fromEntries(
+            recipes.map((recipe) => [
+              recipe.recipe.name,
+              buildDefinition(recipe),
+            ])
+          ),
+        }
+      : buildDefinition(first);
+  });
+
+  return { substances, reactions, locations };
+}
+
+function formatRecipes({ substances = [], reactions = {} } = {}) {
+  const lines = [];
+  if (substances.length > 0) {
+    lines.push(
+      `${SUBSTANCES_KEYWORD}: ${substances.map(formatName).join(", ")}`
+    );
+  }
+
+  Object.entries(reactions).forEach(([product, definition]) => {
+    if (
+      definition !== null &&
+      typeof definition === "object" &&
+      definition.recipes !== undefined
+    ) {
+      Object.entries(definition.recipes).forEach(([recipe, spec]) => {
+        lines.push(formatRecipe(product, spec, recipe));
+      });
+    } else {
+      lines.push(formatRecipe(product, definition, null));
+    }
+  });
+
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+function tokenize(source, line) {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length && source[index] !== "#") {
+    const character = source[index];
+    if (/\s/.test(character)) {
+      index += 1;
+      continue;
+    }
+
+    if (PUNCTUATION.has(character)) {
+      tokens.push({
+        type: character,
+        value: character,
+        line,
+        column: index + 1,
+      });
+      index += 1;
+      continue;
+    }
+
+    let end = index;
+    while (
+      end < source.length &&
+      !/\s/.test(source[end]) &&
+      !PUNCTUATION.has(source[end]) &&
+      source[end] !== "#"
+    ) {
+      end += 1;
+    }
+
+    const value = source.slice(index, end);
+    tokens.push({
+      type: NUMBER_PATTERN.test(value) ? "number" : "word",
+      value,
+      line,
+      column: index + 1,
+    });
+    index = end;
+  }
+
+  tokens.push({ type: "end", value: "", line, column: index + 1 });
+  return tokens;
+}
+
+function parseLine(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => {
+    const token = tokens[position];
+    position += 1;
+    return token;
+  };
+  const fail = (token, message) => {
+    throw new RecipeSyntaxError(message, token.line, token.column);
+  };
+  const describe = (token) =>
+    token.type === "end" ? "end of line" : `"${token.value}"`;
+  const expect = (type, expected) => {
+    const token = next();
+    if (token.type !== type) {
+      fail(token, `Expected ${expected} but found ${describe(token)}`);
+    }
+    return token;
+  };
+  const isCatalystKeyword = (token) =>
+    token.type === "word" && token.value.toLowerCase() === CATALYST_KEYWORD;
+
+  const parseName = () => {
+    const first = peek();
+    if (first.type !== "word" || isCatalystKeyword(first)) {
+      fail(first, `Expected a substance name but found ${describe(first)}`);
+    }
+
+    const words = [next().value];
+    while (
+      peek().type === "number" ||
+      (peek().type === "word" && !isCatalystKeyword(peek()))
+    ) {
+      words.push(next().value);
+    }
+    return { name: words.join(" "), line: first.line, column: first.column };
+  };
+
+  const isUnitToken = (token) =>
+    token.type === "word" &&
+    isUnit(token.value) &&
+    tokens[position + 1].type === "word" &&
+    !isCatalystKeyword(tokens[position + 1]);
+
+  const parseTerm = () => {
+    const start = peek();
+    let quantity = 1;
+    if (start.type === "number") {
+      quantity = parseQuantity(next().value);
+      if (isUnitToken(peek())) {
+        quantity = `${start.value} ${next().value}`;
+      }
+    }
+    return {
+      quantity,
+      name: parseName().name,
+      line: start.line,
+      column: start.column,
+    };
+  };
+
+  const parseTerms = () => {
+    const terms = [parseTerm()];
+    while (peek().type === "+") {
+      next();
+      terms.push(parseTerm());
+    }
+    return terms;
+  };
+
+  if (
+    tokens[0].type === "word" &&
+    tokens[0].value.toLowerCase() === SUBSTANCES_KEYWORD &&
+    tokens[1].type === ":"
+  ) {
+    position = 2;
+    const names = [parseName()];
+    while (peek().type === ",") {
+      next();
+      names.push(parseName());
+    }
+    expect("end", "end of line");
+    return { type: "substances", names };
+  }
+
+  const outputs = parseTerms();
+  let recipe = null;
+  if (peek().type === "[") {
+    next();
+    recipe = parseName();
+    expect("]", '"]"');
+  }
+
+  const equals = expect("=", '"="');
+  let reagents = [];
+  if (
+    peek().type !== "end" &&
+    peek().type !== "(" &&
+    !isCatalystKeyword(peek())
+  ) {
+    reagents = parseTerms();
+  }
+
+  let catalysts = [];
+  if (isCatalystKeyword(peek())) {
+    next();
+    catalysts = parseTerms();
+  }
+
+  if (reagents.length === 0 && catalysts.length === 0) {
+    fail(equals, "Reaction must list at least one reagent or catalyst");
+  }
+
+  const options = {};
+  if (peek().type === "(") {
+    next();
+    for (;;) {
+      const key = expect("word", "an option name");
+      const property = OPTION_PROPERTIES.get(key.value.toLowerCase());
+      if (!property) {
+        fail(key, `Unknown reaction option: ${key.value}`);
+      }
+
+      if (property in options) {
+        fail(key, `Duplicate reaction option: ${key.value}`);
+      }
+
+      options[property] = parseNumber(
+        expect("number", `a number after ${key.value}`).value
+      );
+      if (peek().type !== ",") {
+        break;
+      }
+      next();
+    }
+    expect(")", '")"');
+  }
+
+  expect("end", "end of line");
+  return { type: "reaction", outputs, recipe, reagents, catalysts, options };
+}
+
+function parseQuantity(text) {
+  return FRACTION_PATTERN.test(text) ? text : Number(text);
+}
+
+function parseNumber(text) {
+  if (!FRACTION_PATTERN.test(text)) {
+    return Number(text);
+  }
+
+  const [numerator, denominator] = text.split("/").map(Number);
+  return numerator / denominator;
+}
+
+function buildDefinition({ outputs, reagents, catalysts, options }) {
+  const entries = [
+    ...reagents.map(({ quantity, name }) => [quantity, name]),
+    ...catalysts.map(({ quantity, name }) => [quantity, name, "catalyst"]),
+  ];
+  const hasUnitOutput = outputs.length === 1 && outputs[0].quantity === 1;
+  if (hasUnitOutput && Object.keys(options).length === 0) {
+    return entries;
+  }
+
+  return {
+    reagents: entries,
+    ...(hasUnitOutput
+      ? {}
+      : { outputs: outputs.map(({ quantity, name }) => [quantity, name]) }),
+    ...options,
+  };
+}
+
+function formatRecipe(product, spec, recipe) {
+  const isDetailed = !Array.isArray(spec);
+  const entries = (isDetailed ? spec.reagents : spec) ?? [];
+  const productKey = normalizeKey(product);
+  const isPrimary = ([, name]) => normalizeKey(name) === productKey;
+  let text =
+    isDetailed && spec.outputs
+      ? [
+          ...spec.outputs.filter(isPrimary),
+          ...spec.outputs.filter((output) => !isPrimary(output)),
+        ]
+          .map(formatTerm)
+          .join(" + ")
+      : formatName(product);
+  if (recipe !== null) {
+    text += ` [${formatName(recipe)}]`;
+  }
+  text += " =";
+
+  const reagents = entries.filter(([, , role]) => role !== "catalyst");
+  const catalysts = entries.filter(([, , role]) => role === "catalyst");
+  if (reagents.length > 0) {
+    text += ` ${reagents.map(formatTerm).join(" + ")}`;
+  }
+  if (catalysts.length > 0) {
+    text += ` ${CATALYST_KEYWORD} ${catalysts.map(formatTerm).join(" + ")}`;
+  }
+
+  const options = [];
+  if (isDetailed && spec.efficiency !== undefined) {
+    options.push(`efficiency ${formatNumber(spec.efficiency)}`);
+  }
+  if (isDetailed && spec.processingCost !== undefined) {
+    options.push(`cost ${formatNumber(spec.processingCost)}`);
+  }
+  if (options.length > 0) {
+    text += ` (${options.join(", ")})`;
+  }
+
+  return text;
+}
+
+function formatTerm([quantity, name]) {
+  const text = formatName(name);
+  const [first, second] = text.split(" ");
+  if (second !== undefined && isUnit(first)) {
+    throw new RangeError(`Cannot write substance name in recipe text: ${name}`);
+  }
+  return `${formatQuantity(quantity)} ${text}`;
+}
+
+function formatQuantity(quantity) {
+  if (typeof quantity !== "object" && NUMBER_PATTERN.test(String(quantity))) {
+    return String(quantity);
+  }
+
+  let parsed;
+  try {
+    parsed = parseQuantityWithUnit(quantity);
+  } catch {
+    const text =
+      typeof quantity === "object" ? JSON.stringify(quantity) : quantity;
+    throw new RangeError(`Cannot write quantity in recipe text: ${text}`);
+  }
+  return `${formatNumber(parsed.value)} ${parsed.unit.symbol}`;
+}
+
+function formatNumber(value) {
+  const text = String(value);
+  if (!NUMBER_PATTERN.test(text)) {
+    throw new RangeError(`Cannot write quantity in recipe text: ${text}`);
+  }
+  return text;
+}
+
+function formatName(name) {
+  const words = String(name).trim().split(/\s+/);
+  const tokens = tokenize(words.join(" "), 1);
+  const isWritable =
+    words[0] !== "" &&
+    tokens.length === words.length + 1 &&
+    tokens[0].type === "word" &&
+    tokens.every(
+      (token) =>
+        token.type === "end" ||
+        token.type === "number" ||
+        (token.type === "word" &&
+          token.value.toLowerCase() !== CATALYST_KEYWORD)
+    );
+  if (!isWritable) {
+    throw new RangeError(`Cannot write substance name in recipe text: ${name}`);
+  }
+  return words.join(" ");
+}
+
+function normalizeKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+module.exports = { parseRecipes, formatRecipes };
@@ -0,0 +1,73 @@
+const LABORATORY_FORMAT = "tdd-efrei/laboratory";
+const LABORATORY_FORMAT_VERSION = 2;
+
+const MIGRATIONS = new Map([[1, migrateInventoryToLots]]);
+
+function migrateLaboratoryData(data) {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    throw new TypeError(
+      "Laboratory data must be provided as an object literal"
+    );
+  }
+
+  if (data.format !== LABORATORY_FORMAT) {
+    throw new TypeError(
+      `Unrecognized laboratory format: ${String(data.format)}`
+    );
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new TypeError(
+      `Invalid laboratory format version: ${String(data.version)}`
+    );
+  }
+
+  if (data.version > LABORATORY_FORMAT_VERSION) {
+    throw new RangeError(
+      `Unsupported laboratory format version: ${data.version} (latest is ${LABORATORY_FORMAT_VERSION})`
+    );
+  }
+
+  let migrated = data;
+  while (migrated.version < LABORATORY_FORMAT_VERSION) {
+    const migrate = MIGRATIONS.get(migrated.version);
+    if (!migrate) {
+      throw new RangeError(
+        `No migration from laboratory format version ${migrated.version}`
+      );
+    }
+
+    migrated = migrate(migrated);
+  }
+
+  return migrated;
+}
+
+function migrateInventoryToLots(data) {
+  const inventory =
+    data.inventory !== null && typeof data.inventory === "object"
+      ? data.inventory
+      : {};
+
+  return {
+    ...data,
+    version: 2,
+    lots: Object.entries(inventory)
+      .filter(([, quantity]) => quantity !== 0)
+      .map(([substance, quantity], index) => ({
+        id: `${substance}-${index + 1}`,
+        substance,
+        quantity,
+        remaining: quantity,
+        receivedAt: null,
+        expiresAt: null,
+        parents: [],
+      })),
+  };
+}
+
+module.exports = {
+  LABORATORY_FORMAT,
+  LABORATORY_FORMAT_VERSION,
+  migrateLaboratoryData,
+};
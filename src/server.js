@@ -0,0 +1,222 @@
+const http = require("http");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const ROUTES = [
+  {
+    method: "GET",
+    pattern: /^\/substances\/([^/]+)$/,
+    handle: (lab, [name]) => ({
+      substance: name,
+      quantity: lab.getQuantity(name),
+    }),
+  },
+  {
+    method: "POST",
+    pattern: /^\/substances\/([^/]+)\/add$/,
+    handle: (lab, [name], body) => ({
+      substance: name,
+      quantity: lab.add(name, body.quantity),
+    }),
+  },
+  {
+    method: "GET",
+    pattern: /^\/substances\/([^/]+)\/stock$/,
+    handle: (lab, [name]) => ({
+      substance: name,
+      ...lab.getStockLevels(name),
+    }),
+  },
+  {
+    method: "POST",
+    pattern: /^\/orders\/([^/]+)\/reserve$/,
+    handle: (lab, [orderId], body) => ({
+      orderId,
+      substance: body.substance,
+      reserved: lab.reserve(body.substance, body.quantity, orderId),
+    }),
+  },
+  {
+    method: "POST",
+    pattern: /^\/orders\/([^/]+)\/release$/,
+    handle: (lab, [orderId], body) => ({
+      orderId,
+      released: lab.release(orderId, body.substance),
+    }),
+  },
+  {
+    method: "POST",
+    pattern: /^\/orders\/([^/]+)\/fulfil$/,
+    handle: (lab, [orderId]) => ({ orderId, fulfilled: lab.fulfil(orderId) }),
+  },
+  {
+    method: "POST",
+    pattern: /^\/products\/([^/]+)\/make$/,
+    handle: (lab, [name], body) => {
+      const { quantity, ...options } = body;
+      return lab.make(name, quantity, { ...options, report: true });
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/inventory$/,
+    handle: (lab) => lab.toJSON().inventory,
+  },
+  {
+    method: "GET",
+    pattern: /^\/graph$/,
+    handle: (lab, params, body, query) => {
+      const format = query.get("format");
+      return format === null
+        ? lab.getReactionGraph()
+        : { text: lab.exportGraph(format) };
+    },
+  },
+];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+function createLabServer(lab) {
+  let queue = Promise.resolve();
+
+  return http.createServer((request, response) => {
+    readBody(request)
+      .then((text) => {
+        const task = queue.then(() => handleRequest(lab, request, text));
+        queue = task.catch(() => {});
+        return task;
+      })
+      .then(
+        (result) => sendJson(response, 200, result),
+        (error) => sendError(response, error)
+      );
+  });
+}
+
+function handleRequest(lab, request, text) {
+  const url = new URL(request.url, "http://localhost");
+  const matches = ROUTES.map((route) => ({
+    route,
+    match: route.pattern.exec(url.pathname),
+  })).filter(({ match }) => match !== null);
+
+  if (matches.length === 0) {
+    throw new HttpError(404, `No route for ${url.pathname}`);
+  }
+
+  const found = matches.find(({ route }) => route.method === request.method);
+  if (!found) {
+    const error = new HttpError(
+      405,
+      `Method ${request.method} is not allowed for ${url.pathname}`
+    );
+    error.allow = matches.map(({ route }) => route.method).join(", ");
+    throw error;
+  }
+
+  const params = found.match.slice(1).map(decodeParameter);
+  const body = request.method === "POST" ? parseBody(text) : {};
+  return found.route.handle(lab, params, body, url.searchParams);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body is too large"));
+      } else {
+        resolve(Buffer.concat(chunks).toString("utf8"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function parseBody(text) {
+  if (text.trim() === "") {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(
+      400,
+      `Request body is not valid JSON: ${error.message}`
+    );
+  }
+
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+  return body;
+}
+
+function decodeParameter(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed path segment: ${value}`);
+  }
+}
+
+function statusFor(error) {
+  if (error instanceof HttpError) {
+    return error.status;
+  }
+  if (error instanceof TypeError || error instanceof SyntaxError) {
+    return 400;
+  }
+  if (error instanceof RangeError) {
+    return 409;
+  }
+  if (error instanceof ReferenceError) {
+    return 404;
+  }
+  return 500;
+}
+
+function sendError(response, error) {
+  const status = statusFor(error);
+  if (error instanceof HttpError && error.allow) {
+    response.setHeader("Allow", error.allow);
+  }
+
+  sendJson(response, status, { error: describeError(error, status) });
+}
+
+function describeError(error, status) {
+  if (status === 500) {
+    return { type: "Error", message: "Internal server error" };
+  }
+
+  const details = error instanceof HttpError ? {} : { ...error };
+  delete details.name;
+  return { type: error.name, message: error.message, ...details };
+}
+
+function sendJson(response, status, data) {
+  const text = JSON.stringify(data);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(text),
+  });
+  response.end(text);
+}
+
+module.exports = { createLabServer };
@@ -0,0 +1,242 @@
+const EPSILON = 1e-9;
+const OPERATORS = new Set(["<=", ">=", "="]);
+
+function solveLinearProgram(problem) {
+  if (problem === null || typeof problem !== "object") {
+    throw new TypeError("Linear program must be provided as an object literal");
+  }
+
+  const objective = normalizeCoefficients(problem.objective, "Objective");
+  const constraints = normalizeConstraints(
+    problem.constraints ?? [],
+    objective.length
+  );
+
+  const variableCount = objective.length;
+  const slackCount = constraints.filter(
+    (constraint) => constraint.operator !== "="
+  ).length;
+  const artificialCount = constraints.filter(
+    (constraint) => constraint.operator !== "<="
+  ).length;
+  const width = variableCount + slackCount + artificialCount;
+  const artificialStart = variableCount + slackCount;
+
+  const tableau = [];
+  const basis = [];
+  let slackColumn = variableCount;
+  let artificialColumn = artificialStart;
+  constraints.forEach(({ coefficients, operator, value }) => {
+    const row = new Array(width + 1).fill(0);
+    coefficients.forEach((coefficient, column) => {
+      row[column] = coefficient;
+    });
+    row[width] = value;
+
+    if (operator === "<=") {
+      row[slackColumn] = 1;
+      basis.push(slackColumn);
+      slackColumn += 1;
+    } else {
+      if (operator === ">=") {
+        row[slackColumn] = -1;
+        slackColumn += 1;
+      }
+      row[artificialColumn] = 1;
+      basis.push(artificialColumn);
+      artificialColumn += 1;
+    }
+    tableau.push(row);
+  });
+
+  if (artificialCount > 0) {
+    const phaseOneCosts = new Array(width).fill(0);
+    for (let column = artificialStart; column < width; column += 1) {
+      phaseOneCosts[column] = -1;
+    }
+
+    const phaseOne = runSimplex(tableau, basis, phaseOneCosts, width);
+    if (phaseOne.value < -EPSILON) {
+      return { status: "infeasible", value: null, solution: null };
+    }
+
+    removeArtificialVariables(tableau, basis, artificialStart);
+  }
+
+  const costs = new Array(width).fill(0);
+  objective.forEach((coefficient, column) => {
+    costs[column] = coefficient;
+  });
+
+  const phaseTwo = runSimplex(tableau, basis, costs, artificialStart);
+  if (phaseTwo.status === "unbounded") {
+    return { status: "unbounded", value: null, solution: null };
+  }
+
+  const solution = new Array(variableCount).fill(0);
+  basis.forEach((column, row) => {
+    if (column < variableCount) {
+      solution[column] = snap(tableau[row][width]);
+    }
+  });
+
+  return { status: "optimal", value: snap(phaseTwo.value), solution };
+}
+
+function normalizeCoefficients(coefficients, label) {
+  if (!Array.isArray(coefficients)) {
+    throw new TypeError(`${label} coefficients must be provided as an array`);
+  }
+
+  return coefficients.map((coefficient) => {
+    if (typeof coefficient !== "number" || !Number.isFinite(coefficient)) {
+      throw new TypeError(
+        `${label} coefficients must be finite numbers: ${String(coefficient)}`
+      );
+    }
+    return coefficient;
+  });
+}
+
+function normalizeConstraints(constraints, variableCount) {
+  if (!Array.isArray(constraints)) {
+    throw new TypeError("Constraints must be provided as an array");
+  }
+
+  return constraints.map((constraint, index) => {
+    if (constraint === null || typeof constraint !== "object") {
+      throw new TypeError(`Constraint at index ${index} must be an object`);
+    }
+
+    const coefficients = normalizeCoefficients(
+      constraint.coefficients,
+      "Constraint"
+    );
+    if (coefficients.length > variableCount) {
+      throw new RangeError(
+        `Constraint at index ${index} has more coefficients than variables`
+      );
+    }
+
+    if (!OPERATORS.has(constraint.operator)) {
+      throw new RangeError(
+        `Unknown constraint operator: ${String(constraint.operator)}`
+      );
+    }
+
+    const [value] = normalizeCoefficients([constraint.value], "Constraint");
+    if (value >= 0) {
+      return { coefficients, operator: constraint.operator, value };
+    }
+
+    const flipped = { "<=": ">=", ">=": "<=", "=": "=" };
+    return {
+      coefficients: coefficients.map((coefficient) => -coefficient),
+      operator: flipped[constraint.operator],
+      value: -value,
+    };
+  });
+}
+
+function runSimplex(tableau, basis, costs, columnLimit) {
+  const width = costs.length;
+  const objective = new Array(width + 1).fill(0);
+  for (let column = 0; column <= width; column += 1) {
+    objective[column] = tableau.reduce(
+      (sum, row, index) => sum + costs[basis[index]] * row[column],
+      column < width ? -costs[column] : 0
+    );
+  }
+
+  for (;;) {
+    let entering = -1;
+    for (let column = 0; column < columnLimit; column += 1) {
+      if (objective[column] < -EPSILON) {
+        entering = column;
+        break;
+      }
+    }
+
+    if (entering === -1) {
+      return { status: "optimal", value: objective[width] };
+    }
+
+    let leaving = -1;
+    let bestRatio = Infinity;
+    tableau.forEach((row, index) => {
+      if (row[entering] <= EPSILON) {
+        return;
+      }
+
+      const ratio = row[width] / row[entering];
+      if (
+        ratio < bestRatio - EPSILON ||
+        (Math.abs(ratio - bestRatio) <= EPSILON &&
+          basis[index] < basis[leaving])
+      ) {
+        bestRatio = ratio;
+        leaving = index;
+      }
+    });
+
+    if (leaving === -1) {
+      return { status: "unbounded", value: Infinity };
+    }
+
+    pivot(tableau, objective, basis, leaving, entering);
+  }
+}
+
+function removeArtificialVariables(tableau, basis, artificialStart) {
+  for (let row = tableau.length - 1; row >= 0; row -= 1) {
+    if (basis[row] < artificialStart) {
+      continue;
+    }
+
+    const column = tableau[row].findIndex(
+      (coefficient, index) =>
+        index < artificialStart && Math.abs(coefficient) > EPSILON
+    );
+    if (column === -1) {
+      tableau.splice(row, 1);
+      basis.splice(row, 1);
+    } else {
+      pivot(tableau, null, basis, row, column);
+    }
+  }
+}
+
+function pivot(tableau, objective, basis, pivotRow, pivotColumn) {
+  const row = tableau[pivotRow];
+  const divisor = row[pivotColumn];
+  for (let column = 0; column < row.length; column += 1) {
+    row[column] /= divisor;
+  }
+
+  const eliminate = (target) => {
+    const factor = target[pivotColumn];
+    if (factor === 0) {
+      return;
+    }
+
+    for (let column = 0; column < target.length; column += 1) {
+      target[column] = snap(target[column] - factor * row[column]);
+    }
+  };
+
+  tableau.forEach((target, index) => {
+    if (index !== pivotRow) {
+      eliminate(target);
+    }
+  });
+  if (objective) {
+    eliminate(objective);
+  }
+  basis[pivotRow] = pivotColumn;
+}
+
+function snap(value) {
+  return Math.abs(value) < 1e-12 ? 0 : value;
+}
+
+module.exports = { solveLinearProgram };
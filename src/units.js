@@ -0,0 +1,80 @@
+const DIMENSIONS = {
+  mass: { mg: 1, g: 1000, kg: 1000000 },
+  volume: { mL: 1, cL: 10, dL: 100, L: 1000 },
+  count: { unit: 1, dozen: 12 },
+};
+
+const UNITS = new Map(
+  Object.entries(DIMENSIONS).flatMap(([dimension, units]) =>
+    Object.entries(units).map(([symbol, factor]) => [
+      symbol.toLowerCase(),
+      { symbol, dimension, factor },
+    ])
+  )
+);
+
+const QUANTITY_PATTERN =
+  /^\s*([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)\s*([a-z]+)\s*$/i;
+
+function resolveUnit(unit) {
+  if (typeof unit !== "string") {
+    throw new TypeError(`Unit must be a string: ${String(unit)}`);
+  }
+
+  const resolved = UNITS.get(unit.trim().toLowerCase());
+  if (!resolved) {
+    throw new RangeError(`Unknown unit: ${unit}`);
+  }
+
+  return resolved;
+}
+
+function isUnit(unit) {
+  return typeof unit === "string" && UNITS.has(unit.trim().toLowerCase());
+}
+
+function parseQuantityWithUnit(quantity) {
+  if (typeof quantity === "string") {
+    const match = QUANTITY_PATTERN.exec(quantity);
+    if (!match) {
+      throw new TypeError(`Invalid quantity with unit: ${quantity}`);
+    }
+
+    return { value: Number(match[1]), unit: resolveUnit(match[2]) };
+  }
+
+  if (
+    quantity === null ||
+    typeof quantity !== "object" ||
+    Array.isArray(quantity)
+  ) {
+    throw new TypeError(
+      `Quantity must be a finite number: ${String(quantity)}`
+    );
+  }
+
+  if (typeof quantity.value !== "number" || !Number.isFinite(quantity.value)) {
+    throw new TypeError(
+      `Quantity must be a finite number: ${String(quantity.value)}`
+    );
+  }
+
+  return { value: quantity.value, unit: resolveUnit(quantity.unit) };
+}
+
+function convertQuantity(value, from, to) {
+  if (from.dimension !== to.dimension) {
+    throw new TypeError(
+      `Cannot convert ${from.symbol} (${from.dimension}) to ${to.symbol} (${to.dimension})`
+    );
+  }
+
+  return from.factor === to.factor ? value : (value * from.factor) / to.factor;
+}
+
+module.exports = {
+  resolveUnit,
+  isUnit,
+  parseQuantityWithUnit,
+  convertQuantity,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { EXIT_CODES, runCli } = require('../src/cli');
+
+describe('lab command-line interface', () => {
+  let directory;
+
+  const createOutput = () => {
+    const output = { text: '' };
+    output.write = (chunk) => {
+      output.text += chunk;
+      return true;
+    };
+    return output;
+  };
+
+  const run = async (argv, stdin) => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const exitCode = await runCli(argv, {
+      cwd: directory,
+      stdout,
+      stderr,
+      stdin,
+    });
+    return { exitCode, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  const readState = () =>
+    JSON.parse(fs.readFileSync(path.join(directory, 'lab.json'), 'utf8'));
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lab-cli-'));
+    fs.writeFileSync(
+      path.join(directory, 'recipes.txt'),
+      'elixir = 2 stardust + 1 moonwater\npotion = 1 elixir + 1 stardust\n',
+    );
+    await run(['init', 'recipes.txt']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('init creates the state file from a recipe file', async () => {
+    expect(readState()).toMatchObject({
+      substances: ['stardust', 'moonwater'],
+      inventory: { stardust: 0, elixir: 0 },
+    });
+    expect((await run(['init', 'recipes.txt'])).exitCode).toBe(
+      EXIT_CODES.usage,
+    );
+    expect((await run(['init', 'recipes.txt', '--force'])).exitCode).toBe(
+      EXIT_CODES.success,
+    );
+  });
+
+  test('add and make write the updated state back to the file', async () => {
+    expect(await run(['add', 'stardust', '10'])).toEqual({
+      exitCode: EXIT_CODES.success,
+      stdout: 'stardust: 10\n',
+      stderr: '',
+    });
+    await run(['add', 'moonwater', '5']);
+
+    const result = await run(['make', 'potion', '2']);
+    expect(result.stdout).toBe('Made 2 potion (requested 2)\n');
+    expect(readState().inventory).toMatchObject({
+      stardust: 4,
+      moonwater: 3,
+      potion: 2,
+    });
+  });
+
+  test('stock prints a table or JSON', async () => {
+    await run(['add', 'stardust', '10']);
+
+    expect((await run(['stock'])).stdout).toBe(
+      [
+        'substance  type     quantity',
+        'stardust   base           10',
+        'moonwater  base            0',
+        'elixir     product         0',
+        'potion     product         0',
+        '',
+      ].join('\n'),
+    );
+    expect(JSON.parse((await run(['--json', 'stock'])).stdout)).toEqual({
+      stardust: 10,
+      moonwater: 0,
+      elixir: 0,
+      potion: 0,
+    });
+  });
+
+  test('plan and graph leave the state file untouched', async () => {
+    await run(['add', 'stardust', '10']);
+    await run(['add', 'moonwater', '5']);
+    const before = readState();
+
+    const plan = await run(['plan', 'elixir', '1']);
+    expect(plan.stdout).toContain('Would make 1 elixir (requested 1)');
+    expect(plan.stdout).toContain('stardust       10      8     -2');
+    expect((await run(['graph', '--format', 'mermaid'])).stdout).toMatch(
+      /^flowchart LR/,
+    );
+    expect(readState()).toEqual(before);
+  });
+
+  test('the REPL runs commands and saves after each change', async () => {
+    const stdin = Readable.from([
+      'add stardust 3\n',
+      'add "moonwater" 1\n',
+      'make elixir 1\n',
+      'make gem\n',
+      'quit\n',
+    ]);
+    const result = await run(['repl'], stdin);
+
+    expect(result.stdout).toBe(
+      'stardust: 3\nmoonwater: 1\nMade 1 elixir (requested 1)\n',
+    );
+    expect(result.stderr).toContain('make expects 2 argument(s)');
+    expect(result.exitCode).toBe(EXIT_CODES.usage);
+    expect(readState().inventory).toMatchObject({ stardust: 1, elixir: 1 });
+  });
+
+  describe('exit codes', () => {
+    test.each([
+      [['frobnicate'], EXIT_CODES.usage],
+      [['add', 'stardust', 'lots'], EXIT_CODES.invalidInput],
+      [['add', 'stardust', '-1'], EXIT_CODES.outOfRange],
+      [['make', 'potion', '1', '--atomic'], EXIT_CODES.insufficientStock],
+      [['add', 'ruby', '1'], EXIT_CODES.notFound],
+      [['--file', 'missing.json', 'stock'], EXIT_CODES.notFound],
+      [['graph', '--format', 'svg'], EXIT_CODES.outOfRange],
+    ])('%j exits with %i', async (argv, exitCode) => {
+      const result = await run(argv);
+
+      expect(result.exitCode).toBe(exitCode);
+      expect(result.stderr).toMatch(/^lab: /);
+    });
+
+    test('recipe syntax errors have their own exit code', async () => {
+      fs.writeFileSync(path.join(directory, 'broken.txt'), 'gem = 2 +\n');
+
+      const result = await run(['init', 'broken.txt', '--force']);
+      expect(result.exitCode).toBe(EXIT_CODES.syntax);
+      expect(result.stderr).toContain('line 1, column 9');
+    });
+
+    test('failed commands do not touch the state file', async () => {
+      const before = readState();
+      await run(['make', 'potion', '1', '--atomic']);
+
+      expect(readState()).toEqual(before);
+    });
+  });
+});
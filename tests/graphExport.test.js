@@ -0,0 +1,76 @@
+const { renderGraph } = require('../src/graphExport');
+
+describe('Reaction graph rendering', () => {
+  const graph = {
+    substances: [
+      { name: 'stardust', type: 'base', quantity: 10 },
+      { name: 'enzyme', type: 'base', quantity: 0 },
+      { name: 'a', type: 'product', quantity: 0.1 },
+      { name: 'c "pure"', type: 'product', quantity: 0 },
+    ],
+    reactions: [
+      {
+        product: 'a',
+        recipe: 'default',
+        efficiency: 0.85,
+        reagents: [
+          { substance: 'stardust', quantity: 0.1 + 0.2, role: 'reagent' },
+          { substance: 'c "pure"', quantity: 1, role: 'reagent' },
+          { substance: 'enzyme', quantity: 1, role: 'catalyst' },
+        ],
+        outputs: [{ substance: 'a', quantity: 1 }],
+      },
+      {
+        product: 'c "pure"',
+        recipe: 'default',
+        efficiency: 1,
+        reagents: [{ substance: 'a', quantity: 0.2, role: 'reagent' }],
+        outputs: [{ substance: 'c "pure"', quantity: 2 }],
+      },
+    ],
+    cycles: [['a', 'c "pure"']],
+  };
+
+  test('renders Graphviz DOT with styled nodes, labelled edges and clusters', () => {
+    const dot = renderGraph(graph, 'dot');
+
+    expect(dot).toMatch(/^digraph laboratory \{\n/);
+    expect(dot).toContain(
+      '"stardust" [label="stardust\\n10", shape=ellipse, style="filled", fillcolor="#dbeafe"];',
+    );
+    expect(dot).toContain(
+      '"c \\"pure\\"" [label="c \\"pure\\"\\n0", shape=box, style="rounded,filled", fillcolor="#f3f4f6"];',
+    );
+    expect(dot).toContain('"a/default" [label="a/default (85%)"');
+    expect(dot).toContain('"stardust" -> "a/default" [label="0.3"];');
+    expect(dot).toContain('"enzyme" -> "a/default" [label="1", style=dashed];');
+    expect(dot).toContain(
+      '"c \\"pure\\"/default" -> "c \\"pure\\"" [label="2"];',
+    );
+    expect(dot).toContain('subgraph cluster_0 {\n    label="cycle 1";');
+  });
+
+  test('renders Mermaid flowcharts', () => {
+    const mermaid = renderGraph(graph, 'mermaid');
+
+    expect(mermaid.split('\n').slice(0, 5)).toEqual([
+      'flowchart LR',
+      '  s0(["stardust: 10"])',
+      '  s1(["enzyme: 0"])',
+      '  s2["a: 0.1"]',
+      '  s3["c #quot;pure#quot;: 0"]',
+    ]);
+    expect(mermaid).toContain('  s0 -- "0.3" --> r0');
+    expect(mermaid).toContain('  s1 -. "1" .-> r0');
+    expect(mermaid).toContain('  r1 -- "2" --> s3');
+    expect(mermaid).toContain(
+      '  subgraph cycle1 ["cycle 1"]\n    s2\n    r0\n    s3\n    r1\n  end',
+    );
+    expect(mermaid).toContain('  class s0,s1 base\n  class s2,s3 product');
+    expect(mermaid).toContain('  class s1,s3 empty');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => renderGraph(graph, 'svg')).toThrow(RangeError);
+  });
+});
@@ -1,4 +1,11 @@
-const { Laboratory } = require('../src/Laboratory');
+const {
+  Laboratory,
+  InsufficientStockError,
+  OverdraftError,
+  CapacityExceededError,
+  RecipeSyntaxError,
+} = require('../src/Laboratory');
+const { Rational } = require('../src/rational');
 
 describe('Laboratory initialization', () => {
   test('starts with zero quantity for each known substance', () => {
@@ -248,3 +255,3335 @@ describe('Laboratory reactions execution', () => {
     expect(lab.getQuantity('a')).toBeCloseTo(2.1, 5);
   });
 });
+
+describe('Laboratory production planning', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 4, moonwater: 2 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [[1, 'elixir']],
+      },
+    );
+
+  test('plan describes the production tree without touching the inventory', () => {
+    const lab = createLab();
+
+    const plan = lab.plan('potion', 2);
+    expect(plan.quantity).toBe(2);
+    expect(plan.tree).toMatchObject({
+      product: 'potion',
+      requested: 2,
+      produced: 2,
+      consumed: [{ substance: 'elixir', quantity: 2 }],
+      intermediates: [
+        {
+          product: 'elixir',
+          requested: 2,
+          produced: 2,
+          consumed: [
+            { substance: 'stardust', quantity: 4 },
+            { substance: 'moonwater', quantity: 2 },
+          ],
+        },
+      ],
+    });
+    expect(plan.synthesized).toEqual({ elixir: 2, potion: 2 });
+    expect(plan.consumed).toEqual({ stardust: 4, moonwater: 2, elixir: 2 });
+    expect(plan.changes).toEqual({
+      stardust: { before: 4, after: 0, delta: -4 },
+      moonwater: { before: 2, after: 0, delta: -2 },
+      potion: { before: 0, after: 2, delta: 2 },
+    });
+
+    expect(lab.getQuantity('stardust')).toBe(4);
+    expect(lab.getQuantity('moonwater')).toBe(2);
+    expect(lab.getQuantity('potion')).toBe(0);
+  });
+
+  test('plan reports the same quantity make would deliver', () => {
+    const lab = createLab();
+
+    const plan = lab.plan('potion', 5);
+    expect(plan.quantity).toBe(2);
+    expect(lab.make('potion', 5)).toBe(plan.quantity);
+    expect(lab.getQuantity('potion')).toBe(plan.changes.potion.after);
+  });
+
+  test('plan traces cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, c: 0.5, a: 0.1, d: 2 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    const plan = lab.plan('a', 2);
+    expect(plan.quantity).toBeCloseTo(2, 5);
+    expect(plan.tree.component).toEqual(expect.arrayContaining(['a', 'c']));
+    expect(plan.changes.a.after).toBeCloseTo(2.1, 5);
+    expect(lab.getQuantity('a')).toBe(0.1);
+  });
+
+  test('plan returns an empty plan for unknown products or zero quantity', () => {
+    const lab = createLab();
+
+    expect(lab.plan('unknown', 1)).toMatchObject({ quantity: 0, tree: null });
+    expect(lab.plan('potion', 0)).toMatchObject({ quantity: 0, tree: null });
+    expect(() => lab.plan('potion', -1)).toThrow(RangeError);
+    expect(() => lab.plan('', 1)).toThrow(TypeError);
+  });
+});
+
+describe('Laboratory atomic production', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 6, moonwater: 2 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [1, 'stardust'],
+        ],
+      },
+    );
+
+  test('atomic make produces the full quantity when stock allows', () => {
+    const lab = createLab();
+
+    expect(lab.make('potion', 1, { atomic: true })).toBe(1);
+    expect(lab.getQuantity('potion')).toBe(1);
+    expect(lab.getQuantity('stardust')).toBe(3);
+  });
+
+  test('atomic make rolls back intermediates when it under-delivers', () => {
+    const lab = createLab();
+
+    expect(() => lab.make('potion', 3, { atomic: true })).toThrow(
+      InsufficientStockError,
+    );
+    expect(lab.getQuantity('stardust')).toBe(6);
+    expect(lab.getQuantity('moonwater')).toBe(2);
+    expect(lab.getQuantity('elixir')).toBe(0);
+    expect(lab.getQuantity('potion')).toBe(0);
+  });
+
+  test('atomic make rolls back changes made inside cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 1, c: 0.5, a: 0.1, d: 2 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    expect(() => lab.make('a', 2, { atomic: true })).toThrow(
+      InsufficientStockError,
+    );
+    expect(lab.getQuantity('a')).toBe(0.1);
+    expect(lab.getQuantity('b')).toBe(1);
+    expect(lab.getQuantity('c')).toBe(0.5);
+    expect(lab.getQuantity('d')).toBe(2);
+  });
+
+  test('insufficient stock errors describe the shortfall', () => {
+    const lab = createLab();
+
+    let error;
+    try {
+      lab.make('potion', 3, { atomic: true });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(RangeError);
+    expect(error).toMatchObject({
+      substance: 'potion',
+      requested: 3,
+      available: 2,
+    });
+  });
+
+  test('atomic make rejects unknown products', () => {
+    const lab = createLab();
+
+    expect(() => lab.make('unknown', 1, { atomic: true })).toThrow(
+      ReferenceError,
+    );
+    expect(() => lab.make('unknown', 0, { atomic: true })).toThrow(
+      ReferenceError,
+    );
+    expect(() => lab.make('stardust', 1, { atomic: true })).toThrow(
+      InsufficientStockError,
+    );
+    expect(lab.make('potion', 0, { atomic: true })).toBe(0);
+    expect(() => lab.make('potion', 1, null)).toThrow(TypeError);
+  });
+});
+
+describe('Laboratory production reports', () => {
+  test('report explains which reagent limited a single reaction', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 5 },
+      {
+        gem: [[2, 'stardust']],
+      },
+    );
+
+    const report = lab.make('gem', 4, { report: true });
+    expect(report).toMatchObject({
+      product: 'gem',
+      requested: 4,
+      quantity: 2.5,
+      tree: { product: 'gem', limitingReagent: 'stardust' },
+      missing: { stardust: 3 },
+      scaledComponents: [],
+    });
+    expect(lab.getQuantity('gem')).toBe(2.5);
+  });
+
+  test('report lists the limiting reagent at each level and missing base stock', () => {
+    const lab = new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 6, moonwater: 2 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [1, 'stardust'],
+        ],
+      },
+    );
+
+    const report = lab.make('potion', 3, { report: true });
+    expect(report.quantity).toBe(2);
+    expect(report.tree).toMatchObject({
+      product: 'potion',
+      limitingReagent: 'elixir',
+      intermediates: [{ product: 'elixir', limitingReagent: 'moonwater' }],
+    });
+    expect(report.missing).toEqual({ stardust: 3, moonwater: 1 });
+  });
+
+  test('report is empty of shortfalls when the full quantity is made', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 5 },
+      {
+        gem: [[2, 'stardust']],
+      },
+    );
+
+    const report = lab.make('gem', 1, { report: true });
+    expect(report.quantity).toBe(1);
+    expect(report.tree.limitingReagent).toBeNull();
+    expect(report.missing).toEqual({});
+  });
+
+  test('report names the cyclic component that scaled production down', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 1, c: 0.5, a: 0.1, d: 2 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    const report = lab.make('a', 2, { report: true });
+    expect(report.quantity).toBeLessThan(2);
+    expect(report.scaledComponents).toHaveLength(1);
+    expect(report.scaledComponents[0]).toMatchObject({
+      product: 'a',
+      limitingReagent: 'b',
+    });
+    expect(report.scaledComponents[0].component).toEqual(
+      expect.arrayContaining(['a', 'c']),
+    );
+    expect(report.scaledComponents[0].scale).toBeCloseTo(
+      report.quantity / 2,
+      10,
+    );
+    expect(report.missing.b).toBeGreaterThan(0);
+  });
+
+  test('atomic failures carry the report', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 5 },
+      {
+        gem: [[2, 'stardust']],
+      },
+    );
+
+    let error;
+    try {
+      lab.make('gem', 4, { atomic: true, report: true });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(InsufficientStockError);
+    expect(error.report).toMatchObject({
+      quantity: 2.5,
+      missing: { stardust: 3 },
+    });
+    expect(lab.getQuantity('stardust')).toBe(5);
+  });
+});
+
+describe('Laboratory alternative recipes', () => {
+  const createLab = (stock) =>
+    new Laboratory(['stardust', 'moonwater'], stock, {
+      elixir: [
+        [2, 'stardust'],
+        [1, 'moonwater'],
+      ],
+      potion: {
+        recipes: {
+          classic: [[1, 'elixir']],
+          quick: [[4, 'stardust']],
+        },
+      },
+    });
+
+  test('make uses the first feasible recipe by default', () => {
+    const lab = createLab({ stardust: 4 });
+
+    expect(lab.make('potion', 1)).toBe(1);
+    expect(lab.getQuantity('stardust')).toBe(0);
+    expect(lab.getQuantity('elixir')).toBe(0);
+  });
+
+  test('make falls back to the next recipe when one runs out', () => {
+    const lab = createLab({ elixir: 1, stardust: 4 });
+
+    const plan = lab.plan('potion', 2);
+    expect(plan.quantity).toBe(2);
+    expect(plan.tree).toMatchObject({ product: 'potion', recipe: 'classic' });
+    expect(lab.make('potion', 2)).toBe(2);
+    expect(lab.getQuantity('elixir')).toBe(0);
+    expect(lab.getQuantity('stardust')).toBe(0);
+  });
+
+  test('cheapest strategy prefers the recipe using the fewest base materials', () => {
+    const lab = createLab({ stardust: 8, moonwater: 1 });
+
+    expect(lab.make('potion', 1, { strategy: 'cheapest' })).toBe(1);
+    expect(lab.getQuantity('stardust')).toBe(6);
+    expect(lab.getQuantity('moonwater')).toBe(0);
+  });
+
+  test('maxYield strategy prefers the recipe producing the most', () => {
+    const lab = createLab({ stardust: 8, moonwater: 1 });
+
+    expect(lab.make('potion', 4, { strategy: 'maxYield' })).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(0);
+    expect(lab.getQuantity('moonwater')).toBe(1);
+  });
+
+  test('a recipe can be selected by name', () => {
+    const lab = createLab({ stardust: 8, moonwater: 1 });
+
+    expect(lab.make('potion', 4, { recipe: 'Classic' })).toBe(1);
+    expect(lab.getQuantity('stardust')).toBe(6);
+  });
+
+  test('choosing between alternatives scales to deep recipe chains', () => {
+    const reactions = {};
+    for (let level = 1; level <= 20; level += 1) {
+      const below = level === 1 ? 'seed' : `p${level - 1}`;
+      reactions[`p${level}`] = {
+        recipes: {
+          doubled: [[2, below]],
+          topped: [
+            [1, below],
+            [1, 'base'],
+          ],
+        },
+      };
+    }
+
+    const lab = new Laboratory(
+      ['seed', 'base'],
+      { seed: 1, base: 20 },
+      reactions,
+    );
+    expect(lab.make('p20', 1)).toBe(1);
+    expect(lab.getQuantity('base')).toBe(0);
+
+    const short = new Laboratory(
+      ['seed', 'base'],
+      { seed: 1, base: 19 },
+      reactions,
+    );
+    expect(short.make('p20', 1)).toBeCloseTo(20 / 21, 9);
+    expect(short.getQuantity('base')).toBeCloseTo(0, 9);
+  });
+
+  test('asking for more never yields less on deep recipe chains', () => {
+    const reactions = {};
+    for (let level = 1; level <= 22; level += 1) {
+      const below = level === 1 ? 'seed' : `p${level - 1}`;
+      reactions[`p${level}`] = {
+        recipes: {
+          topped: [
+            [1, below],
+            [1, 'base'],
+          ],
+          doubled: [[2, below]],
+        },
+      };
+    }
+    const make = (quantity) =>
+      new Laboratory(['seed', 'base'], { seed: 1, base: 10 }, reactions).make(
+        'p22',
+        quantity,
+      );
+
+    const produced = [0.3, 1.3, 2, 5].map(make);
+    expect(produced[0]).toBeCloseTo(0.3, 9);
+    produced.slice(1).forEach((quantity, index) => {
+      expect(quantity).toBeGreaterThanOrEqual(produced[index]);
+      expect(quantity).toBeCloseTo(21 / 44, 9);
+    });
+  });
+
+  test('alternatives take part in cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2 },
+      {
+        a: {
+          recipes: {
+            direct: [[4, 'b']],
+            looped: [
+              [1, 'b'],
+              [1, 'c'],
+            ],
+          },
+        },
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    const plan = lab.plan('a', 1, { recipe: 'looped' });
+    expect(plan.tree.component).toEqual(expect.arrayContaining(['a', 'c']));
+    expect(lab.make('a', 1, { recipe: 'looped' })).toBeCloseTo(1, 10);
+    expect(lab.getQuantity('b')).toBeCloseTo(1.75, 10);
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid recipe dictionaries', () => {
+      expect(
+        () => new Laboratory(['stardust'], {}, { gem: { recipes: {} } }),
+      ).toThrow(TypeError);
+      expect(
+        () => new Laboratory(['stardust'], {}, { gem: { recipes: [] } }),
+      ).toThrow(TypeError);
+      expect(
+        () =>
+          new Laboratory(
+            ['stardust'],
+            {},
+            {
+              gem: {
+                recipes: {
+                  fast: [[1, 'stardust']],
+                  FAST: [[2, 'stardust']],
+                },
+              },
+            },
+          ),
+      ).toThrow(RangeError);
+    });
+
+    test('rejects unknown recipes and strategies', () => {
+      const lab = createLab({});
+      expect(() => lab.make('potion', 1, { recipe: 'slow' })).toThrow(
+        ReferenceError,
+      );
+      expect(() => lab.make('potion', 1, { strategy: 'random' })).toThrow(
+        RangeError,
+      );
+    });
+  });
+});
+
+describe('Laboratory multi-output reactions', () => {
+  test('make credits every output with its own yield', () => {
+    const lab = new Laboratory(
+      ['ore', 'slag'],
+      { ore: 4 },
+      {
+        ingot: {
+          reagents: [[2, 'ore']],
+          outputs: [
+            [3, 'ingot'],
+            [0.5, 'slag'],
+          ],
+        },
+      },
+    );
+
+    expect(lab.make('ingot', 3)).toBe(3);
+    expect(lab.getQuantity('ore')).toBe(2);
+    expect(lab.getQuantity('ingot')).toBe(3);
+    expect(lab.getQuantity('slag')).toBe(0.5);
+  });
+
+  test('byproducts feed later reagents of the same production', () => {
+    const lab = new Laboratory(
+      ['ore', 'slag'],
+      { ore: 2 },
+      {
+        ingot: {
+          reagents: [[1, 'ore']],
+          outputs: [
+            [1, 'ingot'],
+            [1, 'slag'],
+          ],
+        },
+        brick: [
+          [1, 'ingot'],
+          [1, 'slag'],
+        ],
+      },
+    );
+
+    const plan = lab.plan('brick', 2);
+    expect(plan.quantity).toBe(2);
+    expect(plan.synthesized).toEqual({ ingot: 2, slag: 2, brick: 2 });
+    expect(lab.make('brick', 2)).toBe(2);
+    expect(lab.getQuantity('slag')).toBe(0);
+  });
+
+  test('the cycle solver accounts for byproducts fed back into the component', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2 },
+      {
+        a: {
+          reagents: [
+            [1, 'b'],
+            [1, 'c'],
+          ],
+          outputs: [
+            [1, 'a'],
+            [0.5, 'c'],
+          ],
+        },
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    expect(lab.make('a', 0.9)).toBeCloseTo(0.9, 10);
+    expect(lab.getQuantity('a')).toBeCloseTo(0.9, 10);
+    expect(lab.getQuantity('c')).toBeCloseTo(0, 10);
+    expect(lab.getQuantity('b')).toBeCloseTo(2, 10);
+    expect(lab.getQuantity('d')).toBeCloseTo(1.5, 10);
+  });
+
+  describe('error handling', () => {
+    const createLab = (outputs) =>
+      new Laboratory(
+        ['ore', 'slag'],
+        {},
+        { ingot: { reagents: [[1, 'ore']], outputs } },
+      );
+
+    test('rejects outputs that do not yield the product', () => {
+      expect(() => createLab([[1, 'slag']])).toThrow(RangeError);
+      expect(() => createLab([[0, 'ingot']])).toThrow(RangeError);
+    });
+
+    test('rejects duplicate, unknown or malformed outputs', () => {
+      expect(() =>
+        createLab([
+          [1, 'ingot'],
+          [1, 'Ingot'],
+        ]),
+      ).toThrow(RangeError);
+      expect(() =>
+        createLab([
+          [1, 'ingot'],
+          [1, 'gold'],
+        ]),
+      ).toThrow(ReferenceError);
+      expect(() => createLab([])).toThrow(TypeError);
+      expect(() => createLab([[1, 'ingot', 2]])).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory reaction efficiency', () => {
+  test('make consumes more reagents when a reaction is not fully efficient', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 5 },
+      {
+        gem: { reagents: [[2, 'stardust']], efficiency: 0.8 },
+      },
+    );
+
+    expect(lab.make('gem', 4)).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(0);
+  });
+
+  test('efficiency is applied inside cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2 },
+      {
+        a: {
+          reagents: [
+            [1, 'b'],
+            [1, 'c'],
+          ],
+          efficiency: 0.5,
+        },
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    expect(lab.make('a', 0.6)).toBeCloseTo(0.6, 10);
+    expect(lab.getQuantity('b')).toBeCloseTo(1, 10);
+    expect(lab.getQuantity('d')).toBeCloseTo(0, 10);
+    expect(lab.getQuantity('a')).toBeCloseTo(0.6, 10);
+  });
+
+  test('a fully efficient reaction behaves like a plain reaction', () => {
+    const stock = { b: 3, c: 0.5, a: 0.1, d: 2 };
+    const plain = new Laboratory(['b', 'd'], stock, {
+      a: [
+        [1, 'b'],
+        [1, 'c'],
+      ],
+      c: [
+        [0.2, 'a'],
+        [1, 'd'],
+      ],
+    });
+    const efficient = new Laboratory(['b', 'd'], stock, {
+      a: {
+        reagents: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        efficiency: 1,
+      },
+      c: {
+        reagents: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+        efficiency: 1,
+      },
+    });
+
+    expect(efficient.plan('a', 2)).toEqual(plain.plan('a', 2));
+  });
+
+  test('rejects invalid efficiencies', () => {
+    const createLab = (efficiency) =>
+      new Laboratory(
+        ['stardust'],
+        {},
+        { gem: { reagents: [[1, 'stardust']], efficiency } },
+      );
+
+    expect(() => createLab(0)).toThrow(RangeError);
+    expect(() => createLab(1.5)).toThrow(RangeError);
+    expect(() => createLab('0.5')).toThrow(TypeError);
+  });
+});
+
+describe('Laboratory catalysts', () => {
+  const createLab = (stock) =>
+    new Laboratory(['grapes', 'sugar'], stock, {
+      yeast: [[1, 'sugar']],
+      wine: [
+        [2, 'grapes'],
+        [1, 'yeast', 'catalyst'],
+      ],
+    });
+
+  test('catalysts must be present but are not consumed', () => {
+    const lab = createLab({ grapes: 4, yeast: 1 });
+
+    expect(lab.make('wine', 2)).toBe(2);
+    expect(lab.getQuantity('grapes')).toBe(0);
+    expect(lab.getQuantity('yeast')).toBe(1);
+  });
+
+  test('missing catalysts are made recursively when possible', () => {
+    const lab = createLab({ grapes: 4, sugar: 1 });
+
+    const plan = lab.plan('wine', 2);
+    expect(plan.tree).toMatchObject({
+      catalysts: [{ substance: 'yeast', required: 1, available: 1 }],
+      intermediates: [{ product: 'yeast', produced: 1 }],
+    });
+    expect(lab.make('wine', 2)).toBe(2);
+    expect(lab.getQuantity('sugar')).toBe(0);
+    expect(lab.getQuantity('yeast')).toBe(1);
+  });
+
+  test('reactions do not run without their catalyst', () => {
+    const lab = createLab({ grapes: 4 });
+
+    const report = lab.make('wine', 2, { report: true });
+    expect(report.quantity).toBe(0);
+    expect(report.tree.limitingReagent).toBe('yeast');
+    expect(report.missing).toEqual({ sugar: 1 });
+    expect(lab.getQuantity('grapes')).toBe(4);
+  });
+
+  test('autocatalytic products are resolved as cyclic dependencies', () => {
+    const lab = new Laboratory(
+      ['milk'],
+      { milk: 5, culture: 0.1 },
+      {
+        culture: [
+          [1, 'milk'],
+          [0.1, 'culture', 'catalyst'],
+        ],
+      },
+    );
+
+    expect(lab.make('culture', 2)).toBe(2);
+    expect(lab.getQuantity('culture')).toBeCloseTo(2.1, 10);
+    expect(lab.getQuantity('milk')).toBe(3);
+  });
+
+  test('keeps catalysts that are also reagents in stock', () => {
+    const lab = new Laboratory(
+      ['grapes', 'yeast'],
+      { grapes: 10, yeast: 3 },
+      {
+        must: [
+          [2, 'grapes'],
+          [1, 'yeast'],
+          [1, 'yeast', 'catalyst'],
+        ],
+      },
+    );
+
+    expect(lab.make('must', 3)).toBe(2);
+    expect(lab.getQuantity('yeast')).toBe(1);
+  });
+
+  test('intermediates do not use up the catalyst of their reaction', () => {
+    const lab = new Laboratory(
+      ['grapes'],
+      { grapes: 4, yeast: 2 },
+      {
+        yeast: [[1, 'grapes']],
+        starter: [[1, 'yeast']],
+        wine: [
+          [1, 'grapes'],
+          [1, 'starter'],
+          [1, 'yeast', 'catalyst'],
+        ],
+      },
+    );
+
+    expect(lab.make('wine', 2)).toBe(2);
+    expect(lab.getQuantity('yeast')).toBe(1);
+    expect(lab.getQuantity('grapes')).toBe(1);
+  });
+
+  test('cycles keep their own catalysts in stock', () => {
+    const lab = new Laboratory(
+      ['ore'],
+      { ore: 10, a: 1 },
+      {
+        a: [
+          [0.5, 'b'],
+          [1, 'ore'],
+        ],
+        b: [
+          [0.5, 'a'],
+          [1, 'a', 'catalyst'],
+          [1, 'ore'],
+        ],
+      },
+    );
+
+    expect(lab.make('a', 1)).toBe(1);
+    expect(lab.getQuantity('a')).toBeCloseTo(2, 10);
+    expect(lab.getQuantity('ore')).toBeCloseTo(8, 10);
+  });
+
+  test('rejects unknown reagent roles', () => {
+    expect(
+      () =>
+        new Laboratory(['grapes'], {}, { wine: [[1, 'grapes', 'solvent']] }),
+    ).toThrow(RangeError);
+  });
+});
+
+describe('Laboratory withdrawals', () => {
+  test('withdraw lowers the stock and returns the updated quantity', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 2 });
+
+    expect(lab.withdraw('Stardust', 0.5, { reason: 'shipping' })).toBe(1.5);
+    expect(lab.getQuantity('stardust')).toBe(1.5);
+  });
+
+  test('withdrawals are recorded with their reason', () => {
+    const lab = new Laboratory(['stardust', 'moonwater'], {
+      stardust: 5,
+      moonwater: 5,
+    });
+    lab.withdraw('stardust', 1, { reason: 'shipping' });
+    lab.withdraw('moonwater', 2, { reason: 'Spill' });
+    lab.withdraw('stardust', 0.5, { reason: 'shipping' });
+    lab.withdraw('stardust', 0.25);
+
+    expect(lab.getWithdrawals({ reason: 'shipping' })).toEqual([
+      { substance: 'stardust', quantity: 1, reason: 'shipping' },
+      { substance: 'stardust', quantity: 0.5, reason: 'shipping' },
+    ]);
+    expect(lab.getWithdrawals({ substance: 'moonwater' })).toEqual([
+      { substance: 'moonwater', quantity: 2, reason: 'spill' },
+    ]);
+    expect(lab.summarizeWithdrawals()).toEqual({
+      shipping: { stardust: 1.5 },
+      spill: { moonwater: 2 },
+      unspecified: { stardust: 0.25 },
+    });
+  });
+
+  describe('error handling', () => {
+    test('rejects overdrafts without changing the stock', () => {
+      const lab = new Laboratory(['stardust'], { stardust: 1 });
+
+      expect(() => lab.withdraw('stardust', 2)).toThrow(OverdraftError);
+      expect(() => lab.withdraw('stardust', 2)).toThrow(InsufficientStockError);
+      expect(lab.getQuantity('stardust')).toBe(1);
+      expect(lab.getWithdrawals()).toEqual([]);
+    });
+
+    test('reports the available quantity when stock is reserved', () => {
+      const lab = new Laboratory(['stardust'], { stardust: 10 });
+      lab.reserve('stardust', 8, 'PO-1');
+
+      expect(() => lab.withdraw('stardust', 5)).toThrow(
+        'Cannot withdraw 5 stardust: only 2 available',
+      );
+      expect(lab.getQuantity('stardust')).toBe(10);
+    });
+
+    test('validates names, quantities and reasons like add', () => {
+      const lab = new Laboratory(['stardust'], { stardust: 1 });
+
+      expect(() => lab.withdraw('moonwater', 1)).toThrow(ReferenceError);
+      expect(() => lab.withdraw('', 1)).toThrow(TypeError);
+      expect(() => lab.withdraw('stardust', 'a lot')).toThrow(TypeError);
+      expect(() => lab.withdraw('stardust', -1)).toThrow(RangeError);
+      expect(() => lab.withdraw('stardust', 1, { reason: ' ' })).toThrow(
+        TypeError,
+      );
+    });
+  });
+});
+
+describe('Laboratory journal', () => {
+  const createLab = () => {
+    let tick = 0;
+    return new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 4, moonwater: 2 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [[1, 'elixir']],
+      },
+      { clock: () => Date.UTC(2026, 0, 1) + (tick += 1000) },
+    );
+  };
+
+  test('initial stock is journaled as its own operation', () => {
+    const lab = createLab();
+
+    expect(lab.getOperations()).toEqual([
+      {
+        id: 1,
+        type: 'initial',
+        details: {},
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, 1)),
+      },
+    ]);
+    expect(lab.getJournal()).toMatchObject([
+      {
+        sequence: 1,
+        operationId: 1,
+        type: 'initial',
+        substance: 'stardust',
+        delta: 4,
+      },
+      {
+        sequence: 2,
+        operationId: 1,
+        type: 'initial',
+        substance: 'moonwater',
+        delta: 2,
+      },
+    ]);
+  });
+
+  test('make journals every recursive run under one operation', () => {
+    const lab = createLab();
+    lab.make('potion', 2);
+
+    const entries = lab.getJournal().filter((entry) => entry.operationId === 2);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        type: 'consume',
+        substance: 'stardust',
+        delta: -4,
+        product: 'elixir',
+        recipe: 'default',
+      }),
+      expect.objectContaining({
+        type: 'consume',
+        substance: 'moonwater',
+        delta: -2,
+        product: 'elixir',
+      }),
+      expect.objectContaining({
+        type: 'produce',
+        substance: 'elixir',
+        delta: 2,
+        product: 'elixir',
+      }),
+      expect.objectContaining({
+        type: 'consume',
+        substance: 'elixir',
+        delta: -2,
+        product: 'potion',
+      }),
+      expect.objectContaining({
+        type: 'produce',
+        substance: 'potion',
+        delta: 2,
+        product: 'potion',
+      }),
+    ]);
+    expect(lab.getOperations()[1]).toMatchObject({
+      id: 2,
+      type: 'make',
+      details: { product: 'potion', quantity: 2 },
+    });
+    expect(entries[0].timestamp).toEqual(
+      new Date(Date.UTC(2026, 0, 1, 0, 0, 2)),
+    );
+  });
+
+  test('undo and redo revert and reapply whole operations', () => {
+    const lab = createLab();
+    lab.add('stardust', 1);
+    lab.make('potion', 2);
+
+    expect(lab.undo()).toMatchObject({ type: 'make' });
+    expect(lab.getQuantity('potion')).toBe(0);
+    expect(lab.getQuantity('elixir')).toBe(0);
+    expect(lab.getQuantity('stardust')).toBe(5);
+    expect(lab.getQuantity('moonwater')).toBe(2);
+
+    expect(lab.undo()).toMatchObject({ type: 'add' });
+    expect(lab.getQuantity('stardust')).toBe(4);
+    expect(lab.undo()).toBeNull();
+
+    expect(lab.redo()).toMatchObject({ type: 'add' });
+    expect(lab.redo()).toMatchObject({ type: 'make' });
+    expect(lab.getQuantity('potion')).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(1);
+    expect(lab.redo()).toBeNull();
+  });
+
+  test('undo and redo are appended to the journal', () => {
+    const lab = createLab();
+    lab.add('stardust', 1);
+    lab.undo();
+    lab.redo();
+
+    expect(
+      lab.getOperations().map(({ type, details }) => [type, details]),
+    ).toEqual([
+      ['initial', {}],
+      ['add', { substance: 'stardust', quantity: 1 }],
+      ['undo', { operationId: 2 }],
+      ['redo', { operationId: 2 }],
+    ]);
+    expect(lab.getJournal().slice(-3)).toMatchObject([
+      { operationId: 2, type: 'add', delta: 1 },
+      { operationId: 3, type: 'undo', delta: -1 },
+      { operationId: 4, type: 'redo', delta: 1 },
+    ]);
+  });
+
+  test('a new operation clears the redo stack', () => {
+    const lab = createLab();
+    lab.add('stardust', 1);
+    lab.undo();
+    lab.add('moonwater', 1);
+
+    expect(lab.redo()).toBeNull();
+    expect(lab.getQuantity('stardust')).toBe(4);
+    expect(lab.getQuantity('moonwater')).toBe(3);
+  });
+
+  test('failed or empty operations leave no trace', () => {
+    const lab = createLab();
+    expect(() => lab.make('potion', 5, { atomic: true })).toThrow(
+      InsufficientStockError,
+    );
+    expect(lab.make('potion', 0)).toBe(0);
+
+    expect(lab.getOperations()).toHaveLength(1);
+    expect(lab.undo()).toBeNull();
+  });
+
+  test('undone withdrawals no longer count towards their reason', () => {
+    const lab = createLab();
+    lab.withdraw('stardust', 1, { reason: 'spill' });
+    lab.withdraw('moonwater', 1, { reason: 'spill' });
+    lab.undo();
+
+    expect(lab.summarizeWithdrawals()).toEqual({ spill: { stardust: 1 } });
+    expect(lab.getJournal().at(-2)).toMatchObject({
+      type: 'withdraw',
+      reason: 'spill',
+    });
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => new Laboratory(['stardust'], {}, {}, null)).toThrow(TypeError);
+    expect(
+      () => new Laboratory(['stardust'], {}, {}, { clock: 'now' }),
+    ).toThrow(TypeError);
+  });
+});
+
+describe('Laboratory serialization', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['Stardust', 'moonwater'],
+      { stardust: 4, moonwater: 2 },
+      {
+        Elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: {
+          recipes: {
+            classic: [[1, 'elixir']],
+            quick: { reagents: [[4, 'stardust']], efficiency: 0.5 },
+          },
+        },
+      },
+    );
+
+  test('toJSON captures substances, original recipes and inventory', () => {
+    const lab = createLab();
+    lab.make('elixir', 1);
+
+    expect(lab.toJSON()).toEqual({
+      format: 'tdd-efrei/laboratory',
+      version: 2,
+      substances: ['Stardust', 'moonwater'],
+      reactions: {
+        Elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: {
+          recipes: {
+            classic: [[1, 'elixir']],
+            quick: { reagents: [[4, 'stardust']], efficiency: 0.5 },
+          },
+        },
+      },
+      inventory: { stardust: 2, moonwater: 1, elixir: 1, potion: 0 },
+      lots: [
+        {
+          id: 'stardust-1',
+          substance: 'stardust',
+          quantity: 4,
+          remaining: 2,
+          receivedAt: expect.any(String),
+          expiresAt: null,
+          parents: [],
+        },
+        {
+          id: 'moonwater-2',
+          substance: 'moonwater',
+          quantity: 2,
+          remaining: 1,
+          receivedAt: expect.any(String),
+          expiresAt: null,
+          parents: [],
+        },
+        {
+          id: 'elixir-3',
+          substance: 'elixir',
+          quantity: 1,
+          remaining: 1,
+          receivedAt: expect.any(String),
+          expiresAt: null,
+          parents: [
+            { lot: 'stardust-1', substance: 'stardust', quantity: 2 },
+            { lot: 'moonwater-2', substance: 'moonwater', quantity: 1 },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('fromJSON restores an equivalent laboratory', () => {
+    const lab = createLab();
+    lab.make('elixir', 1);
+
+    const restored = Laboratory.fromJSON(JSON.stringify(lab));
+    expect(restored.toJSON()).toEqual(lab.toJSON());
+    expect(restored.make('potion', 1, { recipe: 'classic' })).toBe(1);
+    expect(restored.getQuantity('elixir')).toBe(0);
+  });
+
+  test('the serialized form is detached from the laboratory', () => {
+    const lab = createLab();
+    const data = lab.toJSON();
+    data.reactions.Elixir[0][0] = 100;
+
+    expect(lab.toJSON().reactions.Elixir[0][0]).toBe(2);
+  });
+
+  describe('error handling', () => {
+    test('fromJSON runs the constructor validation', () => {
+      const data = createLab().toJSON();
+
+      expect(() =>
+        Laboratory.fromJSON({ ...data, inventory: { stardust: -1 } }),
+      ).toThrow(RangeError);
+      expect(() =>
+        Laboratory.fromJSON({
+          ...data,
+          reactions: { gem: [[1, 'unknown']] },
+        }),
+      ).toThrow(ReferenceError);
+    });
+
+    test('fromJSON rejects malformed documents', () => {
+      expect(() => Laboratory.fromJSON('{not json')).toThrow(TypeError);
+      expect(() => Laboratory.fromJSON(null)).toThrow(TypeError);
+      expect(() => Laboratory.fromJSON({ version: 1 })).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory runtime reaction management', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 10, moonwater: 5 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+      },
+    );
+
+  test('new substances and reactions can be added to a live laboratory', () => {
+    const lab = createLab();
+    lab.addSubstance('Sunlight');
+    lab.add('sunlight', 2);
+    lab.addReaction('Potion', [
+      [1, 'elixir'],
+      [1, 'sunlight'],
+    ]);
+
+    expect(lab.make('potion', 2)).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(6);
+    expect(lab.getQuantity('sunlight')).toBe(0);
+    expect(lab.toJSON()).toMatchObject({
+      substances: ['stardust', 'moonwater', 'Sunlight'],
+      reactions: {
+        Potion: [
+          [1, 'elixir'],
+          [1, 'sunlight'],
+        ],
+      },
+    });
+  });
+
+  test('replacing a reaction keeps the current stock', () => {
+    const lab = createLab();
+    lab.make('elixir', 1);
+    lab.addReaction('ELIXIR', [[1, 'moonwater']]);
+
+    expect(lab.getQuantity('elixir')).toBe(1);
+    expect(lab.make('elixir', 2)).toBe(2);
+    expect(lab.getQuantity('moonwater')).toBe(2);
+    expect(Object.keys(lab.toJSON().reactions)).toEqual(['ELIXIR']);
+  });
+
+  test('removing a reaction turns its product into a base substance', () => {
+    const lab = createLab();
+    lab.make('elixir', 1);
+    lab.removeReaction('elixir');
+
+    expect(lab.make('elixir', 1)).toBe(0);
+    expect(lab.getQuantity('elixir')).toBe(1);
+    expect(lab.toJSON()).toMatchObject({
+      substances: ['stardust', 'moonwater', 'elixir'],
+      reactions: {},
+    });
+  });
+
+  test('reaction changes recompute cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2, a: 0.1, c: 0.5 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [[1, 'd']],
+      },
+    );
+    lab.addReaction('c', [
+      [0.2, 'a'],
+      [1, 'd'],
+    ]);
+
+    expect(lab.plan('a', 2).tree.component).toEqual(
+      expect.arrayContaining(['a', 'c']),
+    );
+    expect(lab.make('a', 2)).toBeCloseTo(2, 5);
+    expect(lab.getQuantity('a')).toBeCloseTo(2.1, 5);
+  });
+
+  test('undo keeps working across structural changes', () => {
+    const lab = createLab();
+    lab.add('stardust', 1);
+    lab.addSubstance('sunlight');
+    lab.add('sunlight', 1);
+
+    lab.undo();
+    lab.undo();
+    expect(lab.getQuantity('sunlight')).toBe(0);
+    expect(lab.getQuantity('stardust')).toBe(10);
+  });
+
+  describe('error handling', () => {
+    test('validates new substances and reactions like the constructor', () => {
+      const lab = createLab();
+
+      expect(() => lab.addSubstance('')).toThrow(TypeError);
+      expect(() => lab.addSubstance('Stardust')).toThrow(RangeError);
+      expect(() => lab.addReaction('', [[1, 'stardust']])).toThrow(TypeError);
+      expect(() => lab.addReaction('gem', [[1, 'ruby']])).toThrow(
+        ReferenceError,
+      );
+      expect(() => lab.addReaction('gem', [['a', 'stardust']])).toThrow(
+        TypeError,
+      );
+      expect(() => lab.getQuantity('gem')).toThrow(ReferenceError);
+    });
+
+    test('rolls back reactions that make a cycle unsolvable', () => {
+      const lab = new Laboratory(
+        ['b'],
+        {},
+        {
+          a: [
+            [1, 'b'],
+            [1, 'c'],
+          ],
+          c: [[1, 'b']],
+        },
+      );
+
+      expect(() => lab.addReaction('c', [[1, 'a']])).toThrow(/singular/);
+      expect(lab.toJSON().reactions.c).toEqual([[1, 'b']]);
+      lab.add('b', 2);
+      expect(lab.make('a', 1)).toBe(1);
+    });
+
+    test('refuses to remove substances with stock or users', () => {
+      const lab = createLab();
+      lab.addSubstance('sunlight');
+
+      expect(() => lab.removeSubstance('stardust')).toThrow(RangeError);
+      lab.withdraw('stardust', 10);
+      expect(() => lab.removeSubstance('stardust')).toThrow(
+        /used by the reaction for elixir/,
+      );
+      expect(() => lab.removeSubstance('elixir')).toThrow(RangeError);
+      expect(() => lab.removeSubstance('unknown')).toThrow(ReferenceError);
+
+      lab.removeSubstance('Sunlight');
+      expect(() => lab.getQuantity('sunlight')).toThrow(ReferenceError);
+      expect(lab.toJSON().substances).toEqual(['stardust', 'moonwater']);
+    });
+
+    test('rejects removing unknown reactions', () => {
+      const lab = createLab();
+
+      expect(() => lab.removeReaction('stardust')).toThrow(ReferenceError);
+      expect(() => lab.removeReaction(null)).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory max producible queries', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 10, moonwater: 5 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [1, 'stardust'],
+        ],
+      },
+    );
+
+  test('returns what make would deliver without touching the stock', () => {
+    const lab = createLab();
+    const journal = lab.getJournal();
+
+    expect(lab.maxProducible('Potion')).toBeCloseTo(10 / 3, 6);
+    expect(lab.maxProducible('elixir')).toBeCloseTo(5, 6);
+    expect(lab.getQuantity('stardust')).toBe(10);
+    expect(lab.getQuantity('moonwater')).toBe(5);
+    expect(lab.getJournal()).toEqual(journal);
+
+    expect(lab.make('potion', lab.maxProducible('potion'))).toBeCloseTo(
+      10 / 3,
+      6,
+    );
+    expect(lab.maxProducible('potion')).toBeCloseTo(0, 6);
+  });
+
+  test('accounts for intermediates already in stock', () => {
+    const lab = createLab();
+    lab.add('elixir', 2);
+
+    expect(lab.maxProducible('potion')).toBeCloseTo(2 + 8 / 3, 6);
+  });
+
+  test('solves cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2, a: 0.1, c: 0.5 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+    const max = lab.maxProducible('a');
+
+    expect(max).toBeGreaterThan(lab.plan('a', 1000).quantity);
+    expect(lab.plan('a', max * 1.001).quantity).toBeLessThan(max * 1.001);
+    expect(lab.make('a', max)).toBeCloseTo(max, 6);
+  });
+
+  test('answers quickly for deep chains of alternative recipes', () => {
+    const reactions = {};
+    for (let level = 1; level <= 12; level += 1) {
+      const below = level === 1 ? 'seed' : `p${level - 1}`;
+      reactions[`p${level}`] = {
+        recipes: {
+          doubled: [[2, below]],
+          topped: [
+            [1, below],
+            [1, 'base'],
+          ],
+        },
+      };
+    }
+    const lab = new Laboratory(
+      ['seed', 'base'],
+      { seed: 3, base: 30 },
+      reactions,
+    );
+
+    expect(lab.maxProducible('p12')).toBeCloseTo(33 / 13, 6);
+    expect(lab.maxProducibleAll().p12).toBeCloseTo(33 / 13, 6);
+  });
+
+  test('verifies the analytic bound instead of bisecting with simulations', () => {
+    const reactions = {};
+    for (let level = 1; level <= 24; level += 1) {
+      const below = level === 1 ? 'seed' : `p${level - 1}`;
+      reactions[`p${level}`] = {
+        recipes: {
+          doubled: [[2, below]],
+          topped: [
+            [1, below],
+            [1, 'base'],
+          ],
+        },
+      };
+    }
+    const lab = new Laboratory(
+      ['seed', 'base'],
+      { seed: 1, base: 30 },
+      reactions,
+      { numeric: 'rational' },
+    );
+
+    expect(lab.maxProducible('p24')).toBe(1);
+    expect(lab.maxProducibleAll().p24).toBe(1);
+  });
+
+  test('ignores cycles that consume more than they yield elsewhere', () => {
+    const lab = new Laboratory(
+      ['x'],
+      { x: 10, a: 5 },
+      {
+        a: [
+          [2, 'c'],
+          [1, 'x'],
+        ],
+        c: [[1, 'a']],
+        gem: [[1, 'a']],
+        stone: [[2, 'x']],
+      },
+    );
+
+    expect(lab.maxProducible('stone')).toBe(5);
+    expect(lab.maxProducibleAll()).toEqual({ a: 0, c: 0, gem: 5, stone: 5 });
+    expect(lab.make('gem', 8)).toBe(5);
+    expect(lab.getQuantity('x')).toBe(10);
+  });
+
+  test('reports unbounded products as infinite', () => {
+    const lab = new Laboratory(
+      ['enzyme'],
+      { enzyme: 1 },
+      {
+        light: [[1, 'enzyme', 'catalyst']],
+      },
+    );
+
+    expect(lab.maxProducible('light')).toBe(Infinity);
+  });
+
+  test('maxProducibleAll answers for every product at once', () => {
+    const lab = createLab();
+    const result = lab.maxProducibleAll({ strategy: 'maxYield' });
+
+    expect(Object.keys(result)).toEqual(['elixir', 'potion']);
+    expect(result.elixir).toBeCloseTo(5, 6);
+    expect(result.potion).toBeCloseTo(10 / 3, 6);
+  });
+
+  test('base substances cannot be produced', () => {
+    const lab = createLab();
+
+    expect(lab.maxProducible('stardust')).toBe(0);
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid names and options', () => {
+      const lab = createLab();
+
+      expect(() => lab.maxProducible('')).toThrow(TypeError);
+      expect(() => lab.maxProducible('potion', { recipe: 'fast' })).toThrow(
+        ReferenceError,
+      );
+      expect(() => lab.maxProducibleAll({ strategy: 'random' })).toThrow(
+        RangeError,
+      );
+      expect(() => lab.maxProducibleAll(null)).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory procurement planning', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 10, moonwater: 5, elixir: 1 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [1, 'stardust'],
+        ],
+      },
+    );
+
+  test('lists the base substances to buy for a production order', () => {
+    const lab = createLab();
+
+    expect(lab.planProcurement({ Potion: 10, elixir: 4 })).toEqual({
+      order: { potion: 10, elixir: 4 },
+      required: { stardust: 36, moonwater: 13 },
+      available: { stardust: 10, moonwater: 5 },
+      deficits: { stardust: 26, moonwater: 8 },
+      lines: {
+        potion: { quantity: 10, required: { stardust: 28, moonwater: 9 } },
+        elixir: { quantity: 4, required: { stardust: 8, moonwater: 4 } },
+      },
+    });
+    expect(lab.getQuantity('stardust')).toBe(10);
+  });
+
+  test('orders that fit in the current stock have no deficits', () => {
+    const lab = createLab();
+    const procurement = lab.planProcurement({ potion: 2, stardust: 1 });
+
+    expect(procurement.required).toEqual({ stardust: 5, moonwater: 1 });
+    expect(procurement.deficits).toEqual({});
+  });
+
+  test('allocates stock on hand across the order lines once', () => {
+    const lab = createLab();
+    const procurement = lab.planProcurement({ elixir: 2, potion: 2 });
+
+    expect(procurement.required).toEqual({ stardust: 8, moonwater: 3 });
+    expect(procurement.lines).toEqual({
+      elixir: { quantity: 2, required: { stardust: 2, moonwater: 1 } },
+      potion: { quantity: 2, required: { stardust: 6, moonwater: 2 } },
+    });
+    Object.entries(procurement.required).forEach(([substance, required]) => {
+      const total = Object.values(procurement.lines).reduce(
+        (sum, line) => sum + (line.required[substance] ?? 0),
+        0,
+      );
+      expect(total).toBe(required);
+    });
+  });
+
+  test('counts shared catalysts once across the order lines', () => {
+    const lab = new Laboratory(
+      ['grapes', 'sugar'],
+      { yeast: 1 },
+      {
+        yeast: [[1, 'sugar']],
+        wine: [
+          [2, 'grapes'],
+          [1, 'yeast', 'catalyst'],
+        ],
+        cider: [
+          [1, 'grapes'],
+          [2, 'yeast', 'catalyst'],
+        ],
+      },
+    );
+    const procurement = lab.planProcurement({ wine: 1, cider: 1 });
+
+    expect(procurement.required).toEqual({ grapes: 3, sugar: 1 });
+    expect(procurement.lines).toEqual({
+      wine: { quantity: 1, required: { grapes: 2 } },
+      cider: { quantity: 1, required: { grapes: 1, sugar: 1 } },
+    });
+  });
+
+  test('expands cyclic components through their inverse', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      { b: 1 },
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+    const procurement = lab.planProcurement({ a: 1 });
+
+    expect(procurement.required.b).toBeCloseTo(1.25, 9);
+    expect(procurement.required.d).toBeCloseTo(1.25, 9);
+    expect(procurement.deficits.b).toBeCloseTo(0.25, 9);
+    expect(procurement.deficits.d).toBeCloseTo(1.25, 9);
+  });
+
+  test('credits byproducts against the order', () => {
+    const lab = new Laboratory(
+      ['ore', 'slag'],
+      {},
+      {
+        metal: {
+          reagents: [[2, 'ore']],
+          outputs: [
+            [1, 'metal'],
+            [0.5, 'slag'],
+          ],
+        },
+        brick: [[2, 'slag']],
+      },
+    );
+
+    expect(lab.planProcurement({ metal: 2, brick: 1 }).required).toEqual({
+      ore: 4,
+      slag: 1,
+    });
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid orders', () => {
+      const lab = createLab();
+
+      expect(() => lab.planProcurement(null)).toThrow(TypeError);
+      expect(() => lab.planProcurement({ ruby: 1 })).toThrow(ReferenceError);
+      expect(() => lab.planProcurement({ potion: -1 })).toThrow(RangeError);
+    });
+  });
+});
+
+describe('Laboratory production optimizer', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['dust', 'water'],
+      { dust: 9, water: 9 },
+      {
+        elixir: [
+          [2, 'dust'],
+          [1, 'water'],
+        ],
+        tonic: [
+          [1, 'dust'],
+          [2, 'water'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [1, 'dust'],
+        ],
+      },
+    );
+
+  test('finds the production mix with the highest total value', () => {
+    const lab = createLab();
+    const optimization = lab.optimize({ Elixir: 3, tonic: 2 });
+
+    expect(optimization.value).toBeCloseTo(15, 9);
+    expect(optimization.quantities.elixir).toBeCloseTo(3, 9);
+    expect(optimization.quantities.tonic).toBeCloseTo(3, 9);
+    expect(optimization.changes.dust.after).toBeCloseTo(0, 9);
+    expect(optimization.executed).toBe(false);
+    expect(lab.getQuantity('dust')).toBe(9);
+  });
+
+  test('honours minimum and maximum quantities', () => {
+    const lab = createLab();
+
+    expect(
+      lab.optimize({ elixir: 3, tonic: { value: 2, min: 4 } }).quantities,
+    ).toEqual({ elixir: expect.closeTo(1, 9), tonic: expect.closeTo(4, 9) });
+    expect(
+      lab.optimize({ elixir: { value: 3, max: 1 }, tonic: 2 }).quantities,
+    ).toEqual({ elixir: expect.closeTo(1, 9), tonic: expect.closeTo(4, 9) });
+  });
+
+  test('synthesizes intermediates for higher-value products', () => {
+    const lab = createLab();
+    const optimization = lab.optimize({ potion: 10, elixir: 3 });
+
+    expect(optimization.quantities.potion).toBeCloseTo(3, 9);
+    expect(optimization.quantities.elixir).toBeCloseTo(0, 9);
+    expect(optimization.runs).toEqual([
+      { product: 'elixir', recipe: 'default', quantity: expect.closeTo(3, 9) },
+      { product: 'potion', recipe: 'default', quantity: expect.closeTo(3, 9) },
+    ]);
+  });
+
+  test('executes the plan as a single undoable operation', () => {
+    const lab = createLab();
+    const optimization = lab.optimize(
+      { elixir: 3, tonic: 2 },
+      { execute: true },
+    );
+
+    expect(optimization.executed).toBe(true);
+    expect(lab.getQuantity('elixir')).toBeCloseTo(3, 9);
+    expect(lab.getQuantity('tonic')).toBeCloseTo(3, 9);
+    expect(lab.getQuantity('dust')).toBe(0);
+    expect(lab.getQuantity('water')).toBe(0);
+
+    expect(lab.undo()).toMatchObject({ type: 'optimize' });
+    expect(lab.getQuantity('elixir')).toBe(0);
+    expect(lab.getQuantity('dust')).toBe(9);
+  });
+
+  test('counts only newly produced quantities towards the targets', () => {
+    const stocked = () =>
+      new Laboratory(
+        ['stardust'],
+        { stardust: 4, potion: 5 },
+        { potion: [[2, 'stardust']] },
+      );
+    const idle = new Laboratory(
+      ['stardust'],
+      { potion: 5 },
+      { potion: [[2, 'stardust']] },
+    );
+
+    expect(
+      idle.optimize({ potion: { value: 1, max: 10 } }, { execute: true }),
+    ).toMatchObject({ value: 0, quantities: { potion: 0 }, runs: [] });
+    expect(idle.getQuantity('potion')).toBe(5);
+
+    const lab = stocked();
+    const optimization = lab.optimize(
+      { potion: { value: 1, max: 10 } },
+      { execute: true },
+    );
+    expect(optimization.quantities.potion).toBeCloseTo(2, 9);
+    expect(optimization.value).toBeCloseTo(2, 9);
+    expect(lab.getQuantity('potion')).toBeCloseTo(7, 9);
+
+    expect(stocked().optimize({ potion: { value: 1, max: 1 } })).toMatchObject({
+      quantities: { potion: expect.closeTo(1, 9) },
+    });
+    expect(() => stocked().optimize({ potion: { value: 1, min: 3 } })).toThrow(
+      /minimum quantities/,
+    );
+  });
+
+  test('keeps catalysts in stock', () => {
+    const lab = new Laboratory(
+      ['enzyme', 'sugar'],
+      { enzyme: 1, sugar: 4 },
+      {
+        wine: [
+          [1, 'enzyme', 'catalyst'],
+          [1, 'sugar'],
+        ],
+        syrup: [[1, 'enzyme']],
+      },
+    );
+    const optimization = lab.optimize({ wine: 1, syrup: 5 }, { execute: true });
+
+    expect(optimization.quantities).toEqual({
+      wine: expect.closeTo(4, 9),
+      syrup: 0,
+    });
+    expect(lab.getQuantity('enzyme')).toBe(1);
+  });
+
+  describe('error handling', () => {
+    test('rejects infeasible and unbounded targets', () => {
+      const lab = createLab();
+      const free = new Laboratory(
+        ['enzyme'],
+        { enzyme: 1 },
+        {
+          light: [[1, 'enzyme', 'catalyst']],
+        },
+      );
+
+      expect(() => lab.optimize({ tonic: { value: 1, min: 10 } })).toThrow(
+        /minimum quantities/,
+      );
+      expect(() => free.optimize({ light: 1 })).toThrow(/unbounded/);
+      expect(free.optimize({ light: { value: 1, max: 2 } }).value).toBe(2);
+    });
+
+    test('rejects invalid targets and options', () => {
+      const lab = createLab();
+
+      expect(() => lab.optimize(null)).toThrow(TypeError);
+      expect(() => lab.optimize({ ruby: 1 })).toThrow(ReferenceError);
+      expect(() => lab.optimize({ dust: 1 })).toThrow(RangeError);
+      expect(() => lab.optimize({ tonic: 'high' })).toThrow(TypeError);
+      expect(() =>
+        lab.optimize({ tonic: { value: 1, min: 2, max: 1 } }),
+      ).toThrow(RangeError);
+      expect(() => lab.optimize({ tonic: 1 }, [])).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory costing', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater', 'sunlight'],
+      { stardust: 10, moonwater: 5, elixir: 1 },
+      {
+        elixir: {
+          reagents: [
+            [2, 'stardust'],
+            [1, 'moonwater'],
+          ],
+          processingCost: 1,
+        },
+        potion: [
+          [1, 'elixir'],
+          [1, 'stardust'],
+        ],
+        gem: {
+          reagents: [[1, 'stardust']],
+          outputs: [[4, 'gem']],
+          efficiency: 0.5,
+          processingCost: 2,
+        },
+      },
+    );
+
+  test('rolls unit costs up through the recipe graph', () => {
+    const lab = createLab();
+    lab.setUnitCosts({ Stardust: 2, moonwater: 3 });
+
+    expect(lab.getUnitCosts()).toEqual({
+      stardust: 2,
+      moonwater: 3,
+      sunlight: 0,
+      elixir: 8,
+      potion: 10,
+      gem: 2,
+    });
+  });
+
+  test('solves the costs of cyclic components', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      {},
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+    lab.setUnitCosts({ b: 1, d: 1 });
+    const costs = lab.getUnitCosts();
+
+    expect(costs.a).toBeCloseTo(2.5, 9);
+    expect(costs.c).toBeCloseTo(1.5, 9);
+  });
+
+  test('reports products of cycles that consume more than they yield as uncostable', () => {
+    const lab = new Laboratory(
+      ['x'],
+      { x: 10, a: 5, gem: 1 },
+      {
+        a: [
+          [2, 'c'],
+          [1, 'x'],
+        ],
+        c: [[1, 'a']],
+        tonic: [[1, 'a']],
+        gem: [[2, 'x']],
+      },
+    );
+    lab.setUnitCosts({ x: 1 });
+
+    expect(lab.getUnitCosts()).toEqual({
+      x: 1,
+      a: null,
+      c: null,
+      tonic: null,
+      gem: 2,
+    });
+
+    const valuation = lab.valuateInventory();
+    expect(valuation.substances.a).toEqual({
+      quantity: 5,
+      unitCost: null,
+      value: null,
+    });
+    expect(valuation.total).toBe(12);
+  });
+
+  test('values the inventory at unit cost', () => {
+    const lab = createLab();
+    lab.setUnitCosts({ stardust: 2, moonwater: 3 });
+
+    const valuation = lab.valuateInventory();
+    expect(valuation.total).toBe(43);
+    expect(valuation.substances.elixir).toEqual({
+      quantity: 1,
+      unitCost: 8,
+      value: 8,
+    });
+    expect(valuation.substances.potion).toEqual({
+      quantity: 0,
+      unitCost: 10,
+      value: 0,
+    });
+  });
+
+  test('processing costs do not affect the cheapest recipe strategy', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 10 },
+      {
+        gem: {
+          recipes: {
+            pressed: { reagents: [[3, 'stardust']] },
+            fused: { reagents: [[2, 'stardust']], processingCost: 10 },
+          },
+        },
+      },
+    );
+    lab.setUnitCosts({ stardust: 1 });
+
+    expect(
+      lab.make('gem', 1, { strategy: 'cheapest', report: true }).tree,
+    ).toMatchObject({ recipe: 'fused' });
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid unit and processing costs', () => {
+      const lab = createLab();
+
+      expect(() => lab.setUnitCosts(null)).toThrow(TypeError);
+      expect(() => lab.setUnitCosts({ ruby: 1 })).toThrow(ReferenceError);
+      expect(() => lab.setUnitCosts({ elixir: 1 })).toThrow(RangeError);
+      expect(() => lab.setUnitCosts({ stardust: -1 })).toThrow(RangeError);
+      expect(() => lab.setUnitCosts({ stardust: 2, moonwater: 'a' })).toThrow(
+        TypeError,
+      );
+      expect(lab.getUnitCosts().stardust).toBe(0);
+      expect(
+        () =>
+          new Laboratory(
+            ['stardust'],
+            {},
+            { gem: { reagents: [[1, 'stardust']], processingCost: -1 } },
+          ),
+      ).toThrow(RangeError);
+    });
+  });
+});
+
+describe('Laboratory reaction graph', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'enzyme', 'd'],
+      { stardust: 10 },
+      {
+        elixir: {
+          reagents: [
+            [2, 'stardust'],
+            [1, 'enzyme', 'catalyst'],
+          ],
+          outputs: [
+            [2, 'elixir'],
+            [0.5, 'd'],
+          ],
+          efficiency: 0.5,
+        },
+        a: [
+          [1, 'stardust'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+  test('describes substances, reactions and cycles', () => {
+    const graph = createLab().getReactionGraph();
+
+    expect(graph.substances).toEqual([
+      { name: 'stardust', type: 'base', quantity: 10 },
+      { name: 'enzyme', type: 'base', quantity: 0 },
+      { name: 'd', type: 'base', quantity: 0 },
+      { name: 'elixir', type: 'product', quantity: 0 },
+      { name: 'a', type: 'product', quantity: 0 },
+      { name: 'c', type: 'product', quantity: 0 },
+    ]);
+    expect(graph.reactions[0]).toEqual({
+      product: 'elixir',
+      recipe: 'default',
+      efficiency: 0.5,
+      reagents: [
+        { substance: 'stardust', quantity: 2, role: 'reagent' },
+        { substance: 'enzyme', quantity: 1, role: 'catalyst' },
+      ],
+      outputs: [
+        { substance: 'elixir', quantity: 2 },
+        { substance: 'd', quantity: 0.5 },
+      ],
+    });
+    expect(graph.cycles).toEqual([[expect.any(String), expect.any(String)]]);
+    expect([...graph.cycles[0]].sort()).toEqual(['a', 'c']);
+  });
+
+  test('exports the graph as DOT or Mermaid', () => {
+    const lab = createLab();
+
+    expect(lab.exportGraph()).toMatch(/^digraph laboratory/);
+    expect(lab.exportGraph('mermaid')).toMatch(/^flowchart LR/);
+    expect(() => lab.exportGraph('png')).toThrow(RangeError);
+  });
+});
+
+describe('Laboratory diagnostics', () => {
+  const codes = (diagnostics) =>
+    diagnostics.map(({ code, product, substance }) => [
+      code,
+      product ?? substance ?? null,
+    ]);
+
+  test('a healthy reaction set has no diagnostics', () => {
+    const lab = new Laboratory(
+      ['b', 'd'],
+      {},
+      {
+        a: [
+          [1, 'b'],
+          [1, 'c'],
+        ],
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+    );
+
+    expect(lab.diagnose()).toEqual([]);
+  });
+
+  test('reports cycles that consume more than they yield', () => {
+    const lab = new Laboratory(
+      ['b'],
+      {},
+      {
+        a: [
+          [1, 'b'],
+          [2, 'c'],
+        ],
+        c: [[1, 'a']],
+        potion: [[1, 'a']],
+      },
+    );
+    const [cycle, ...rest] = lab.diagnose();
+
+    expect(cycle).toMatchObject({
+      code: 'non-productive-cycle',
+      severity: 'error',
+      recipe: null,
+      spectralRadius: expect.closeTo(Math.SQRT2, 6),
+    });
+    expect([...cycle.products].sort()).toEqual(['a', 'c']);
+    expect(cycle.message).toMatch(/spectral radius 1\.41421 >= 1/);
+    expect(codes(rest)).toEqual(
+      expect.arrayContaining([
+        ['unreachable-product', 'a'],
+        ['unreachable-product', 'c'],
+        ['unreachable-product', 'potion'],
+      ]),
+    );
+    expect(rest.find(({ product }) => product === 'potion').message).toBe(
+      'potion can never be made from base substances: potion/default requires a, which can never be made',
+    );
+  });
+
+  test('reports singular cycles that yield exactly what they consume', () => {
+    const reactions = {
+      a: [
+        [1, 'c'],
+        [1, 'x'],
+      ],
+      c: [[1, 'a']],
+    };
+    expect(() => new Laboratory(['x'], {}, reactions)).toThrow(/singular/);
+
+    let error;
+    try {
+      new Laboratory(['x'], {}, reactions, { strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(RangeError);
+    expect(error.diagnostics[0]).toMatchObject({
+      code: 'non-productive-cycle',
+      spectralRadius: expect.closeTo(1, 6),
+    });
+  });
+
+  test('reports self-loops that yield exactly what they consume', () => {
+    const selfLoop = (quantity) => ({
+      a: [
+        [quantity, 'a'],
+        [1, 'x'],
+      ],
+    });
+
+    expect(new Laboratory(['x'], {}, selfLoop(0.5)).diagnose()).toEqual([
+      expect.objectContaining({ code: 'self-loop', product: 'a' }),
+    ]);
+    expect(() => new Laboratory(['x'], {}, selfLoop(1))).toThrow(/singular/);
+
+    let error;
+    try {
+      new Laboratory(['x'], {}, selfLoop(1), { strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.diagnostics).toContainEqual(
+      expect.objectContaining({
+        code: 'non-productive-cycle',
+        products: ['a'],
+        spectralRadius: expect.closeTo(1, 6),
+      }),
+    );
+  });
+
+  test('refuses to make products of cycles that consume more than they yield', () => {
+    const lab = new Laboratory(
+      ['x'],
+      { x: 10 },
+      {
+        a: [
+          [2, 'c'],
+          [1, 'x'],
+        ],
+        c: [[1, 'a']],
+      },
+    );
+
+    expect(lab.diagnose()).toContainEqual(
+      expect.objectContaining({
+        code: 'non-productive-cycle',
+        spectralRadius: expect.closeTo(Math.SQRT2, 6),
+      }),
+    );
+    expect(() => lab.make('a', 1)).toThrow(/consumes more than it yields/);
+    expect(lab.getQuantity('x')).toBe(10);
+  });
+
+  test('checks alternative recipes inside cycles', () => {
+    const lab = new Laboratory(
+      ['b'],
+      {},
+      {
+        a: [
+          [1, 'b'],
+          [0.5, 'c'],
+        ],
+        c: {
+          recipes: {
+            lean: [[1, 'a']],
+            greedy: [[3, 'a']],
+          },
+        },
+      },
+    );
+
+    expect(lab.diagnose()).toEqual([
+      expect.objectContaining({
+        code: 'non-productive-cycle',
+        recipe: 'c/greedy',
+      }),
+    ]);
+  });
+
+  test('reports products whose catalyst can only come from themselves', () => {
+    const lab = new Laboratory(
+      ['milk'],
+      {},
+      {
+        culture: [
+          [1, 'milk'],
+          [0.1, 'culture', 'catalyst'],
+        ],
+      },
+    );
+
+    expect(codes(lab.diagnose())).toEqual([
+      ['self-loop', 'culture'],
+      ['unreachable-product', 'culture'],
+    ]);
+  });
+
+  test('warns about zero quantities, self-loops and unused substances', () => {
+    const lab = new Laboratory(
+      ['b', 'zero', 'spare'],
+      {},
+      {
+        a: [
+          [1, 'b'],
+          [0, 'zero'],
+        ],
+        x: [
+          [0.5, 'x'],
+          [1, 'b'],
+        ],
+      },
+    );
+    const diagnostics = lab.diagnose();
+
+    expect(codes(diagnostics)).toEqual([
+      ['zero-quantity-reagent', 'a'],
+      ['self-loop', 'x'],
+      ['unused-base-substance', 'spare'],
+    ]);
+    expect(diagnostics.map(({ severity }) => severity)).toEqual([
+      'warning',
+      'warning',
+      'warning',
+    ]);
+    expect(diagnostics[1].message).toBe(
+      'Reaction x/default consumes 0.5 of its own product per unit produced',
+    );
+  });
+
+  describe('strict mode', () => {
+    test('rejects reaction sets with errors at construction', () => {
+      const create = (options) =>
+        new Laboratory(
+          ['b'],
+          {},
+          {
+            a: [
+              [1, 'b'],
+              [2, 'c'],
+            ],
+            c: [[1, 'a']],
+          },
+          options,
+        );
+
+      expect(() => create()).not.toThrow();
+
+      let error;
+      try {
+        create({ strict: true });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(RangeError);
+      expect(error.message).toMatch(/failed strict diagnostics: Cycle/);
+      expect(error.diagnostics.map(({ code }) => code)).toEqual([
+        'non-productive-cycle',
+        'unreachable-product',
+        'unreachable-product',
+      ]);
+    });
+
+    test('allows warnings', () => {
+      expect(
+        () =>
+          new Laboratory(
+            ['b', 'spare'],
+            {},
+            { a: [[1, 'b']] },
+            { strict: true },
+          ),
+      ).not.toThrow();
+    });
+
+    test('rolls back runtime reactions that fail diagnostics', () => {
+      const lab = new Laboratory(
+        ['b'],
+        {},
+        {
+          a: [
+            [1, 'b'],
+            [2, 'c'],
+          ],
+          c: [[1, 'b']],
+        },
+        { strict: true },
+      );
+
+      expect(() => lab.addReaction('c', [[1, 'a']])).toThrow(RangeError);
+      expect(lab.toJSON().reactions.c).toEqual([[1, 'b']]);
+      expect(lab.diagnose()).toEqual([]);
+    });
+  });
+});
+
+describe('Laboratory recipe text', () => {
+  test('builds a laboratory from recipe text', () => {
+    const lab = Laboratory.fromRecipes(
+      'elixir = 2 star dust + 1 moon water\npotion = 1 elixir + 1 star dust',
+      { 'Star Dust': 10, 'moon water': 5 },
+    );
+
+    expect(lab.make('potion', 2)).toBe(2);
+    expect(lab.getQuantity('star dust')).toBe(4);
+  });
+
+  test('writes its recipes back to the same text format', () => {
+    const text = [
+      'substances: sunlight',
+      'elixir = 2 star dust + 1 moon water',
+      'potion [fast] = 1 elixir with 1 enzyme (cost 1)',
+      'potion [slow] = 3 star dust',
+      '',
+    ].join('\n');
+    const lab = Laboratory.fromRecipes(text);
+    lab.addReaction('gem', [[4, 'star dust']]);
+
+    expect(lab.toRecipeText()).toBe(
+      [
+        'substances: sunlight, star dust, moon water, enzyme',
+        'elixir = 2 star dust + 1 moon water',
+        'potion [fast] = 1 elixir with 1 enzyme (cost 1)',
+        'potion [slow] = 3 star dust',
+        'gem = 4 star dust',
+        '',
+      ].join('\n'),
+    );
+    expect(Laboratory.fromRecipes(lab.toRecipeText()).toJSON()).toEqual(
+      lab.toJSON(),
+    );
+  });
+
+  test('round-trips exact fractions in rational mode', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 1 },
+      {
+        elixir: [[Rational.from('1/3'), 'stardust']],
+        potion: [['2/7', 'elixir']],
+      },
+      { numeric: 'rational' },
+    );
+    const text = lab.toRecipeText();
+
+    expect(text).toBe(
+      [
+        'substances: stardust',
+        'elixir = 1/3 stardust',
+        'potion = 2/7 elixir',
+        '',
+      ].join('\n'),
+    );
+    const restored = Laboratory.fromRecipes(
+      text,
+      { stardust: 1 },
+      { numeric: 'rational' },
+    );
+    expect(restored.toJSON().reactions).toEqual(lab.toJSON().reactions);
+    expect(restored.make('potion', 1)).toBe(1);
+    expect(restored.exportInventory({ format: 'fraction' })).toMatchObject({
+      stardust: '19/21',
+    });
+  });
+
+  describe('error handling', () => {
+    test('reports syntax errors with their position', () => {
+      expect(() => Laboratory.fromRecipes('gem = 2 ruby +')).toThrow(
+        RecipeSyntaxError,
+      );
+    });
+
+    test('locates validation errors on the offending reaction', () => {
+      let error;
+      try {
+        Laboratory.fromRecipes('gem = 2 ruby\n\nelixir = 1 gem (efficiency 2)');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(RangeError);
+      expect(error.message).toMatch(
+        /^Efficiency for elixir .* \(line 3, column 1\)$/,
+      );
+      expect([error.line, error.column]).toEqual([3, 1]);
+    });
+
+    test('keeps stock validation errors unchanged', () => {
+      expect(() =>
+        Laboratory.fromRecipes('gem = 2 ruby', { ruby: -1 }),
+      ).toThrow(RangeError);
+    });
+  });
+});
+
+describe('Laboratory units of measure', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['flour', 'milk', 'eggs'],
+      { flour: '1.5 kg', milk: { value: 2, unit: 'L' }, eggs: 6 },
+      {
+        batter: {
+          reagents: [
+            ['250 g', 'flour'],
+            [{ value: 30, unit: 'cL' }, 'milk'],
+            [2, 'eggs'],
+          ],
+          outputs: [['0.5 L', 'batter']],
+        },
+      },
+      { units: { flour: 'g', milk: 'mL', eggs: 'unit', batter: 'mL' } },
+    );
+
+  test('stores stock in the unit declared by each substance', () => {
+    const lab = createLab();
+
+    expect(lab.getUnit('flour')).toBe('g');
+    expect(lab.getQuantity('flour')).toBe(1500);
+    expect(lab.getQuantity('milk')).toBe(2000);
+    expect(lab.getQuantity('flour', 'kg')).toBe(1.5);
+  });
+
+  test('converts quantities passed to add and make', () => {
+    const lab = createLab();
+
+    expect(lab.add('flour', '500 g')).toBe(2000);
+    expect(lab.add('eggs', { value: 1, unit: 'dozen' })).toBe(18);
+    expect(lab.make('batter', '1 L')).toBe(1000);
+    expect(lab.getQuantity('flour', 'kg')).toBe(1.5);
+    expect(lab.getQuantity('milk')).toBe(1400);
+  });
+
+  test('keeps unitless substances working with plain numbers', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 2 });
+
+    expect(lab.getUnit('stardust')).toBeNull();
+    expect(lab.add('stardust', 1)).toBe(3);
+  });
+
+  test('reads and writes units in recipe text', () => {
+    const lab = Laboratory.fromRecipes(
+      'substances: flour\ndough = 250 g flour + 0.5 kg flour',
+      { flour: '1 kg' },
+      { units: { flour: 'kg' } },
+    );
+
+    expect(lab.toJSON().substances).toEqual(['flour']);
+    expect(lab.make('dough', 1)).toBe(1);
+    expect(lab.getQuantity('flour')).toBe(0.25);
+    expect(lab.toRecipeText()).toBe(
+      'substances: flour\ndough = 250 g flour + 0.5 kg flour\n',
+    );
+    expect(createLab().toRecipeText()).toBe(
+      [
+        'substances: flour, milk, eggs',
+        '0.5 L batter = 250 g flour + 30 cL milk + 2 eggs',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('round-trips declared units through JSON', () => {
+    const lab = createLab();
+    lab.addSubstance('sugar', { unit: 'kg' });
+
+    const restored = Laboratory.fromJSON(JSON.parse(JSON.stringify(lab)));
+    expect(restored.toJSON().units).toEqual({
+      flour: 'g',
+      milk: 'mL',
+      eggs: 'unit',
+      batter: 'mL',
+      sugar: 'kg',
+    });
+    expect(restored.getQuantity('batter')).toBe(0);
+    expect(restored.add('sugar', '250 g')).toBe(0.25);
+  });
+
+  describe('error handling', () => {
+    test('rejects quantities with incompatible dimensions', () => {
+      const lab = createLab();
+
+      expect(() => lab.add('flour', '1 L')).toThrow(TypeError);
+      expect(() => lab.getQuantity('milk', 'kg')).toThrow(TypeError);
+      const reactions = { bread: [['1 L', 'flour']] };
+      expect(
+        () =>
+          new Laboratory(['flour'], {}, reactions, { units: { flour: 'g' } }),
+      ).toThrow(TypeError);
+    });
+
+    test('rejects units on substances without a declared unit', () => {
+      const lab = new Laboratory(['stardust']);
+
+      expect(() => lab.add('stardust', '5 g')).toThrow(TypeError);
+    });
+
+    test('rejects malformed, unknown and negative quantities with units', () => {
+      const lab = createLab();
+
+      expect(() => lab.add('flour', 'some flour')).toThrow(TypeError);
+      expect(() => lab.add('flour', '5 oz')).toThrow(RangeError);
+      expect(() => lab.add('flour', '-5 g')).toThrow(RangeError);
+      expect(() => lab.add('flour', { value: '5', unit: 'g' })).toThrow(
+        TypeError,
+      );
+    });
+
+    test('rejects unknown units and substances in the declaration', () => {
+      expect(
+        () => new Laboratory(['flour'], {}, {}, { units: { flour: 'oz' } }),
+      ).toThrow(RangeError);
+      expect(
+        () => new Laboratory(['flour'], {}, {}, { units: { sugar: 'g' } }),
+      ).toThrow(ReferenceError);
+    });
+  });
+});
+
+describe('Laboratory exact rational mode', () => {
+  const createCyclicLab = (options) =>
+    new Laboratory(
+      ['b', 'd'],
+      { b: 3, d: 2 },
+      {
+        a: {
+          reagents: [
+            [1, 'b'],
+            [1, 'c'],
+          ],
+          outputs: [
+            [1, 'a'],
+            [0.5, 'c'],
+          ],
+        },
+        c: [
+          [0.2, 'a'],
+          [1, 'd'],
+        ],
+      },
+      options,
+    );
+
+  test('adds decimal quantities without drift', () => {
+    const lab = new Laboratory(['stardust'], {}, {}, { numeric: 'rational' });
+    lab.add('stardust', 0.1);
+    lab.add('stardust', 0.2);
+
+    expect(lab.getQuantity('stardust')).toBe(0.3);
+    expect(lab.withdraw('stardust', 0.3)).toBe(0);
+  });
+
+  test('solves cyclic components exactly', () => {
+    const lab = createCyclicLab({ numeric: 'rational' });
+
+    expect(lab.make('a', 0.9)).toBe(0.9);
+    expect(lab.exportInventory({ format: 'fraction' })).toEqual({
+      a: '9/10',
+      b: '2',
+      c: '0',
+      d: '3/2',
+    });
+  });
+
+  test('accepts fractions and exports them as decimals', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: '1/3' },
+      { elixir: [['1/3', 'stardust']] },
+      { numeric: 'rational' },
+    );
+
+    expect(lab.make('elixir', 1, { atomic: true })).toBe(1);
+    expect(lab.exportInventory({ format: 'decimal', digits: 4 })).toEqual({
+      stardust: '0',
+      elixir: '1',
+    });
+    lab.add('stardust', '2/3');
+    expect(lab.exportInventory({ format: 'decimal', digits: 4 })).toMatchObject(
+      { stardust: '0.6667' },
+    );
+  });
+
+  test('round-trips exact stock through JSON', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: '1/3' },
+      {},
+      { numeric: 'rational' },
+    );
+
+    const data = JSON.parse(JSON.stringify(lab));
+    expect(data.inventory).toEqual({ stardust: '1/3' });
+    expect(data.numeric).toBe('rational');
+    expect(new Laboratory(['stardust']).toJSON()).not.toHaveProperty('numeric');
+
+    const restored = Laboratory.fromJSON(JSON.stringify(lab));
+    restored.add('stardust', '2/3');
+    expect(restored.toJSON().inventory).toEqual({ stardust: 1 });
+  });
+
+  test('executes optimized production exactly', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      { stardust: 1 },
+      { elixir: [[3, 'stardust']] },
+      { numeric: 'rational' },
+    );
+
+    lab.optimize({ elixir: 1 }, { execute: true });
+    expect(lab.exportInventory({ format: 'fraction' })).toEqual({
+      stardust: '0',
+      elixir: '1/3',
+    });
+  });
+
+  test('leaves the default floating-point mode unchanged', () => {
+    const lab = new Laboratory(['stardust']);
+    lab.add('stardust', 0.1);
+    lab.add('stardust', 0.2);
+
+    expect(lab.getQuantity('stardust')).not.toBe(0.3);
+    expect(lab.exportInventory({ format: 'fraction' })).toEqual({
+      stardust: '7500000000000001/25000000000000000',
+    });
+  });
+
+  describe('error handling', () => {
+    test('rejects unknown numeric modes and export formats', () => {
+      expect(
+        () => new Laboratory(['stardust'], {}, {}, { numeric: 'decimal' }),
+      ).toThrow(RangeError);
+      expect(() =>
+        new Laboratory(['stardust']).exportInventory({ format: 'hex' }),
+      ).toThrow(RangeError);
+    });
+
+    test('rejects negative and malformed fractions', () => {
+      const lab = new Laboratory(['stardust'], {}, {}, { numeric: 'rational' });
+
+      expect(() => lab.add('stardust', '-1/3')).toThrow(RangeError);
+      expect(() => lab.add('stardust', '1/0')).toThrow(RangeError);
+      expect(() => lab.add('stardust', 'one third')).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Laboratory storage capacity', () => {
+  const reactions = { gem: [[2, 'stardust']] };
+
+  test('rejects additions that would overflow a substance limit', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 8 }, reactions, {
+      capacity: { limits: { stardust: 10 } },
+    });
+
+    let error;
+    try {
+      lab.add('stardust', 5);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(CapacityExceededError);
+    expect(error).toBeInstanceOf(InsufficientStockError);
+    expect(error).toMatchObject({
+      substance: 'stardust',
+      requested: 5,
+      available: 2,
+      capacity: 'stardust',
+    });
+    expect(lab.getQuantity('stardust')).toBe(8);
+    expect(lab.getFreeCapacity('stardust')).toBe(2);
+    expect(lab.getFreeCapacity('gem')).toBe(Infinity);
+  });
+
+  test('clips additions to the free space when configured to', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 8 }, reactions, {
+      capacity: { limits: { stardust: 10 }, overflow: 'clip' },
+    });
+
+    expect(lab.add('stardust', 5)).toBe(10);
+    expect(lab.add('stardust', 1)).toBe(10);
+    expect(() => lab.add('stardust', 1, { overflow: 'reject' })).toThrow(
+      CapacityExceededError,
+    );
+  });
+
+  test('shares a group limit between substances with different units', () => {
+    const lab = new Laboratory(
+      ['milk', 'cream'],
+      { milk: 2000 },
+      {},
+      {
+        units: { milk: 'mL', cream: 'cL' },
+        capacity: {
+          groups: {
+            'cold room': { limit: '3 L', substances: ['milk', 'cream'] },
+          },
+          overflow: 'clip',
+        },
+      },
+    );
+
+    expect(lab.getFreeCapacity('cream')).toBe(100);
+    expect(lab.add('cream', '1.5 L')).toBe(100);
+    expect(lab.getFreeCapacity('milk')).toBe(0);
+  });
+
+  test('reduces production to fit and reports the limiting capacity', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 20 }, reactions, {
+      capacity: { limits: { gem: 3 } },
+    });
+
+    const report = lab.make('gem', 5, { report: true });
+    expect(report).toMatchObject({
+      quantity: 3,
+      tree: { product: 'gem', limitingReagent: null, limitingCapacity: 'gem' },
+      missing: {},
+      capacityLimits: [
+        { product: 'gem', capacity: 'gem', requested: 5, produced: 3 },
+      ],
+    });
+    expect(lab.getQuantity('stardust')).toBe(14);
+    expect(lab.make('gem', 1)).toBe(0);
+  });
+
+  test('counts consumed reagents against a shared group', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 6 }, reactions, {
+      capacity: {
+        groups: { vault: { limit: 8, substances: ['stardust', 'gem'] } },
+      },
+    });
+
+    expect(lab.make('gem', 3)).toBe(3);
+    expect(lab.getFreeCapacity('gem')).toBe(5);
+  });
+
+  test('fails atomic production that would overflow with a report', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 20 }, reactions, {
+      capacity: { limits: { gem: 3 } },
+    });
+
+    let error;
+    try {
+      lab.make('gem', 5, { atomic: true, report: true });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(CapacityExceededError);
+    expect(error).toMatchObject({
+      requested: 5,
+      available: 3,
+      capacity: 'gem',
+    });
+    expect(error.report.capacityLimits).toHaveLength(1);
+    expect(lab.getQuantity('stardust')).toBe(20);
+  });
+
+  test('keeps optimized production within capacity limits', () => {
+    const lab = new Laboratory(['stardust'], { stardust: 20 }, reactions, {
+      capacity: { limits: { gem: 2 } },
+    });
+
+    const optimization = lab.optimize({ gem: 1 }, { execute: true });
+    expect(optimization.quantities.gem).toBeCloseTo(2, 9);
+    expect(lab.getQuantity('gem')).toBeCloseTo(2, 9);
+    expect(lab.getQuantity('stardust')).toBeCloseTo(16, 9);
+    expect(lab.getFreeCapacity('gem')).toBeCloseTo(0, 9);
+
+    expect(() => lab.optimize({ gem: { value: 1, min: 3 } })).toThrow(
+      RangeError,
+    );
+  });
+
+  test('round-trips capacity settings through JSON', () => {
+    const lab = new Laboratory(
+      ['milk', 'stardust'],
+      { stardust: 4 },
+      {},
+      {
+        units: { milk: 'mL' },
+        capacity: {
+          limits: { stardust: 5 },
+          groups: { fridge: { limit: '1 L', substances: ['milk'] } },
+          overflow: 'clip',
+        },
+      },
+    );
+
+    const data = JSON.parse(JSON.stringify(lab));
+    expect(data.capacity).toEqual({
+      overflow: 'clip',
+      limits: { stardust: 5 },
+      groups: {
+        fridge: { limit: { value: 1, unit: 'L' }, substances: ['milk'] },
+      },
+    });
+
+    const restored = Laboratory.fromJSON(data);
+    expect(restored.add('stardust', 3)).toBe(5);
+    expect(restored.getFreeCapacity('milk')).toBe(1000);
+  });
+
+  test('drops a removed substance from its capacities', () => {
+    const lab = new Laboratory(
+      ['stardust'],
+      {},
+      {},
+      {
+        capacity: { limits: { stardust: 5 } },
+      },
+    );
+
+    lab.removeSubstance('stardust');
+    expect(lab.toJSON().capacity).toBeUndefined();
+  });
+
+  describe('error handling', () => {
+    test('rejects initial stock over capacity with a typed error', () => {
+      let error;
+      try {
+        new Laboratory(
+          ['milk', 'cream'],
+          { milk: 6, cream: 3 },
+          {},
+          {
+            capacity: {
+              limits: { milk: 8 },
+              groups: { fridge: { limit: 8, substances: ['milk', 'cream'] } },
+            },
+          },
+        );
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(CapacityExceededError);
+      expect(error).toBeInstanceOf(RangeError);
+      expect(error).toMatchObject({
+        capacity: 'fridge',
+        requested: 9,
+        available: 8,
+      });
+
+      let invalid;
+      try {
+        new Laboratory(
+          ['milk'],
+          {},
+          {},
+          { capacity: { limits: { milk: -1 } } },
+        );
+      } catch (caught) {
+        invalid = caught;
+      }
+      expect(invalid).toBeInstanceOf(RangeError);
+      expect(invalid).not.toBeInstanceOf(CapacityExceededError);
+    });
+
+    test('rejects invalid capacity settings', () => {
+      const create = (capacity, initialStock = {}) =>
+        new Laboratory(
+          ['milk', 'eggs'],
+          initialStock,
+          {},
+          {
+            units: { milk: 'mL', eggs: 'unit' },
+            capacity,
+          },
+        );
+
+      expect(() => create({ overflow: 'spill' })).toThrow(RangeError);
+      expect(() => create({ limits: { water: 5 } })).toThrow(ReferenceError);
+      expect(() => create({ limits: { milk: -1 } })).toThrow(RangeError);
+      expect(() =>
+        create({ groups: { shelf: { limit: 5, substances: [] } } }),
+      ).toThrow(TypeError);
+      expect(() =>
+        create({
+          groups: { shelf: { limit: 5, substances: ['milk', 'milk'] } },
+        }),
+      ).toThrow(RangeError);
+      expect(() =>
+        create({
+          groups: { shelf: { limit: '1 L', substances: ['milk', 'eggs'] } },
+        }),
+      ).toThrow(TypeError);
+      expect(() =>
+        new Laboratory(['milk']).add('milk', 1, { overflow: 'spill' }),
+      ).toThrow(RangeError);
+    });
+  });
+});
+
+describe('Laboratory lots', () => {
+  const day = (date) => new Date(`2026-01-${date}T00:00:00.000Z`);
+  const createLab = (options = {}) => {
+    const clock = { now: day('01') };
+    const lab = new Laboratory(
+      ['stardust', 'moonwater'],
+      {},
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [[1, 'elixir']],
+      },
+      { clock: () => clock.now, ...options },
+    );
+    return { lab, clock };
+  };
+
+  test('records each addition as a lot and keeps returning the total', () => {
+    const { lab } = createLab();
+    lab.add('stardust', 3, { lot: 'SD-1', expiresAt: '2026-02-01' });
+    lab.add('stardust', 2);
+
+    expect(lab.getQuantity('stardust')).toBe(5);
+    expect(lab.getLots('stardust')).toEqual([
+      {
+        id: 'SD-1',
+        substance: 'stardust',
+        quantity: 3,
+        remaining: 3,
+        receivedAt: day('01'),
+        expiresAt: new Date('2026-02-01'),
+        parents: [],
+        expired: false,
+      },
+      expect.objectContaining({ id: 'stardust-1', remaining: 2 }),
+    ]);
+  });
+
+  test('consumes lots first in, first out and records their lineage', () => {
+    const { lab, clock } = createLab();
+    lab.add('stardust', 3, { lot: 'old' });
+    clock.now = day('02');
+    lab.add('stardust', 3, { lot: 'new' });
+    lab.add('moonwater', 2, { lot: 'water' });
+
+    lab.make('elixir', 2);
+    expect(lab.getLots('stardust')).toMatchObject([
+      { id: 'new', remaining: 2 },
+    ]);
+
+    const [elixir] = lab.getLots('elixir');
+    expect(elixir.parents).toEqual([
+      { lot: 'old', substance: 'stardust', quantity: 3 },
+      { lot: 'new', substance: 'stardust', quantity: 1 },
+      { lot: 'water', substance: 'moonwater', quantity: 2 },
+    ]);
+  });
+
+  test('consumes the lot that expires first with the fefo policy', () => {
+    const { lab } = createLab({ lotPolicy: 'fefo' });
+    lab.add('stardust', 2, { lot: 'late', expiresAt: '2026-03-01' });
+    lab.add('stardust', 2, { lot: 'soon', expiresAt: '2026-02-01' });
+    lab.add('stardust', 2, { lot: 'stable' });
+    lab.add('moonwater', 1);
+
+    lab.make('elixir', 1);
+    expect(lab.getLots('stardust').map(({ id }) => id)).toEqual([
+      'late',
+      'stable',
+    ]);
+  });
+
+  test('never uses expired lots in production', () => {
+    const { lab, clock } = createLab();
+    lab.add('stardust', 4, { lot: 'old', expiresAt: '2026-01-05' });
+    lab.add('stardust', 2, { lot: 'fresh' });
+    lab.add('moonwater', 5);
+    clock.now = day('10');
+
+    const report = lab.make('elixir', 2, { report: true });
+    expect(report.quantity).toBe(1);
+    expect(report.missing).toEqual({ stardust: 2 });
+    expect(lab.getQuantity('stardust')).toBe(4);
+    expect(lab.getLots('stardust')).toMatchObject([
+      { id: 'old', remaining: 4, expired: true },
+    ]);
+    expect(lab.maxProducible('elixir')).toBe(0);
+    expect(() => lab.withdraw('stardust', 1)).toThrow(OverdraftError);
+
+    lab.withdraw('stardust', 4, { lot: 'old', reason: 'expired' });
+    expect(lab.getQuantity('stardust')).toBe(0);
+  });
+
+  test('plans procurement without counting expired lots', () => {
+    const { lab, clock } = createLab();
+    lab.add('stardust', 10, { expiresAt: '2026-01-05' });
+    lab.add('moonwater', 5);
+    lab.add('elixir', 1, { expiresAt: '2026-01-05' });
+    clock.now = day('10');
+
+    const procurement = lab.planProcurement({ elixir: 5, potion: 1 });
+    expect(procurement.available).toEqual({ stardust: 0, moonwater: 5 });
+    expect(procurement.deficits).toEqual({ stardust: 12, moonwater: 1 });
+    expect(lab.make('elixir', 5, { report: true }).missing).toEqual({
+      stardust: 10,
+    });
+  });
+
+  test('leaves recipes whose catalyst has expired out of optimization', () => {
+    const clock = { now: day('01') };
+    const lab = new Laboratory(
+      ['sugar', 'enzyme'],
+      {},
+      {
+        syrup: {
+          recipes: {
+            fermented: [
+              [1, 'sugar'],
+              [1, 'enzyme', 'catalyst'],
+            ],
+            boiled: [[2, 'sugar']],
+          },
+        },
+      },
+      { clock: () => clock.now },
+    );
+    lab.add('sugar', 4);
+    lab.add('enzyme', 1, { expiresAt: '2026-01-05' });
+    clock.now = day('10');
+
+    const optimization = lab.optimize({ syrup: 1 });
+    expect(optimization.quantities.syrup).toBeCloseTo(2, 9);
+    expect(optimization.runs).toEqual([
+      { product: 'syrup', recipe: 'boiled', quantity: expect.any(Number) },
+    ]);
+  });
+
+  test('traces a finished product back to its raw-material lots', () => {
+    const { lab } = createLab();
+    lab.add('stardust', 2, { lot: 'SD-7' });
+    lab.add('moonwater', 1, { lot: 'MW-3' });
+    lab.make('potion', 1);
+
+    const [potion] = lab.getLots('potion');
+    expect(lab.traceLot(potion.id)).toMatchObject({
+      substance: 'potion',
+      parents: [
+        {
+          quantity: 1,
+          lot: {
+            substance: 'elixir',
+            remaining: 0,
+            parents: [
+              { quantity: 2, lot: { id: 'SD-7', parents: [] } },
+              { quantity: 1, lot: { id: 'MW-3', parents: [] } },
+            ],
+          },
+        },
+      ],
+    });
+  });
+
+  test('undo and redo restore the lots', () => {
+    const { lab } = createLab();
+    lab.add('stardust', 2, { lot: 'SD-1' });
+    lab.add('moonwater', 1);
+    lab.make('elixir', 1);
+
+    lab.undo();
+    expect(lab.getLots('stardust')).toMatchObject([
+      { id: 'SD-1', remaining: 2 },
+    ]);
+    expect(lab.getLots('elixir')).toEqual([]);
+
+    lab.redo();
+    expect(lab.getLots('stardust')).toEqual([]);
+    expect(lab.getLots('elixir')).toHaveLength(1);
+  });
+
+  test('round-trips lots and their lineage through JSON', () => {
+    const { lab } = createLab({ lotPolicy: 'fefo' });
+    lab.add('stardust', 4, { lot: 'SD-1', expiresAt: '2026-02-01' });
+    lab.add('moonwater', 1);
+    lab.make('elixir', 1);
+
+    const data = JSON.parse(JSON.stringify(lab));
+    expect(data.lotPolicy).toBe('fefo');
+    expect(data.lots[0]).toEqual({
+      id: 'SD-1',
+      substance: 'stardust',
+      quantity: 4,
+      remaining: 2,
+      receivedAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-02-01T00:00:00.000Z',
+      parents: [],
+    });
+
+    const restored = Laboratory.fromJSON(data);
+    expect(restored.toJSON()).toEqual(lab.toJSON());
+    expect(restored.traceLot('elixir-2').parents).toHaveLength(2);
+  });
+
+  test('migrates version 1 documents to one lot per stock entry', () => {
+    const restored = Laboratory.fromJSON({
+      format: 'tdd-efrei/laboratory',
+      version: 1,
+      substances: ['stardust', 'moonwater'],
+      reactions: {},
+      inventory: { stardust: 4, moonwater: 0 },
+    });
+
+    expect(restored.getQuantity('stardust')).toBe(4);
+    expect(restored.getLots('stardust')).toMatchObject([
+      { id: 'stardust-1', remaining: 4, receivedAt: null },
+    ]);
+    expect(restored.getLots('moonwater')).toEqual([]);
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid lot options', () => {
+      const { lab } = createLab();
+      lab.add('stardust', 1, { lot: 'SD-1' });
+
+      expect(() => lab.add('stardust', 1, { lot: 'SD-1' })).toThrow(RangeError);
+      expect(() => lab.add('stardust', 1, { lot: '' })).toThrow(TypeError);
+      expect(() => lab.add('stardust', 1, { expiresAt: 'soon' })).toThrow(
+        TypeError,
+      );
+      expect(() => lab.withdraw('stardust', 1, { lot: 'SD-2' })).toThrow(
+        ReferenceError,
+      );
+      expect(() => lab.withdraw('moonwater', 1, { lot: 'SD-1' })).toThrow(
+        ReferenceError,
+      );
+      expect(() => lab.traceLot('SD-2')).toThrow(ReferenceError);
+      expect(() => createLab({ lotPolicy: 'lifo' })).toThrow(RangeError);
+    });
+
+    test('fromJSON rejects lots that disagree with the inventory', () => {
+      const { lab } = createLab();
+      lab.add('stardust', 2, { lot: 'SD-1' });
+      const data = lab.toJSON();
+
+      expect(() =>
+        Laboratory.fromJSON({ ...data, inventory: { stardust: 3 } }),
+      ).toThrow(RangeError);
+      expect(() =>
+        Laboratory.fromJSON({
+          ...data,
+          lots: [{ ...data.lots[0], parents: [{ lot: 'SD-0' }] }],
+        }),
+      ).toThrow(ReferenceError);
+      expect(() => Laboratory.fromJSON({ ...data, lots: {} })).toThrow(
+        TypeError,
+      );
+    });
+  });
+});
+
+describe('Laboratory reservations', () => {
+  const createLab = () =>
+    new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 10, moonwater: 5 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+        potion: [[1, 'elixir']],
+      },
+    );
+
+  test('splits stock into on-hand, reserved and available figures', () => {
+    const lab = createLab();
+
+    expect(lab.reserve('stardust', 4, 'PO-1')).toBe(4);
+    expect(lab.reserve('stardust', 2, 'PO-1')).toBe(6);
+    expect(lab.getQuantity('stardust')).toBe(10);
+    expect(lab.getStockLevels('stardust')).toEqual({
+      onHand: 10,
+      reserved: 6,
+      available: 4,
+    });
+    expect(lab.getReservations()).toEqual({ 'PO-1': { stardust: 6 } });
+  });
+
+  test('keeps reserved stock away from other make and withdraw calls', () => {
+    const lab = createLab();
+    lab.reserve('stardust', 6, 'PO-1');
+
+    expect(lab.make('elixir', 5)).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(6);
+    expect(() => lab.withdraw('stardust', 1)).toThrow(OverdraftError);
+    expect(() => lab.reserve('stardust', 1, 'PO-2')).toThrow(
+      InsufficientStockError,
+    );
+  });
+
+  test('lets the order itself consume its reservation', () => {
+    const lab = createLab();
+    lab.reserve('stardust', 6, 'PO-1');
+    lab.reserve('stardust', 4, 'PO-2');
+
+    expect(lab.make('elixir', 3, { orderId: 'PO-1' })).toBe(3);
+    expect(lab.getReservations()).toEqual({ 'PO-2': { stardust: 4 } });
+
+    lab.withdraw('stardust', 1, { orderId: 'PO-2' });
+    expect(lab.getStockLevels('stardust')).toEqual({
+      onHand: 3,
+      reserved: 3,
+      available: 0,
+    });
+  });
+
+  test('protects reserved intermediates from being used up', () => {
+    const lab = createLab();
+    lab.make('elixir', 2);
+    lab.reserve('elixir', 2, 'PO-1');
+
+    expect(lab.make('potion', 1)).toBe(1);
+    expect(lab.getQuantity('elixir')).toBe(2);
+    expect(lab.getQuantity('stardust')).toBe(4);
+
+    const report = lab.make('potion', 5, { report: true });
+    expect(report.quantity).toBe(2);
+    expect(lab.getQuantity('elixir')).toBe(2);
+  });
+
+  test('plans procurement around stock reserved for orders', () => {
+    const lab = createLab();
+    lab.make('elixir', 1);
+    lab.reserve('stardust', 6, 'PO-1');
+    lab.reserve('elixir', 1, 'PO-1');
+
+    const procurement = lab.planProcurement({ elixir: 5, potion: 1 });
+    expect(procurement.available).toEqual({ stardust: 2, moonwater: 4 });
+    expect(procurement.deficits).toEqual({ stardust: 10, moonwater: 2 });
+    expect(
+      lab.make('potion', 2, { orderId: 'PO-1', report: true }).missing,
+    ).toEqual({});
+  });
+
+  test('release returns stock and fulfil ships it', () => {
+    const lab = createLab();
+    lab.reserve('stardust', 3, 'PO-1');
+    lab.reserve('moonwater', 2, 'PO-1');
+    lab.reserve('moonwater', 1, 'PO-2');
+
+    expect(lab.release('PO-1', 'moonwater')).toEqual({ moonwater: 2 });
+    expect(lab.fulfil('PO-1')).toEqual({ stardust: 3 });
+    expect(lab.getQuantity('stardust')).toBe(7);
+    expect(lab.release('PO-2')).toEqual({ moonwater: 1 });
+    expect(lab.getReservations()).toEqual({});
+    expect(lab.getJournal().at(-1)).toMatchObject({
+      type: 'fulfil',
+      substance: 'stardust',
+      delta: -3,
+      orderId: 'PO-1',
+    });
+  });
+
+  test('undo restores reservations with the stock', () => {
+    const lab = createLab();
+    lab.reserve('stardust', 3, 'PO-1');
+    lab.fulfil('PO-1');
+
+    lab.undo();
+    expect(lab.getStockLevels('stardust')).toMatchObject({
+      onHand: 10,
+      reserved: 3,
+    });
+    lab.undo();
+    expect(lab.getReservations()).toEqual({});
+    expect(lab.getOperations().map(({ type }) => type)).toEqual([
+      'initial',
+      'reserve',
+      'fulfil',
+      'undo',
+      'undo',
+    ]);
+  });
+
+  test('round-trips reservations through JSON', () => {
+    const lab = createLab();
+    lab.reserve('stardust', 3, 'PO-1');
+
+    const data = JSON.parse(JSON.stringify(lab));
+    expect(data.reservations).toEqual({ 'PO-1': { stardust: 3 } });
+    expect(Laboratory.fromJSON(data).getStockLevels('stardust')).toEqual({
+      onHand: 10,
+      reserved: 3,
+      available: 7,
+    });
+  });
+
+  describe('error handling', () => {
+    test('rejects invalid reservations', () => {
+      const lab = createLab();
+      lab.reserve('stardust', 2, 'PO-1');
+
+      expect(() => lab.reserve('stardust', 9, 'PO-2')).toThrow(
+        InsufficientStockError,
+      );
+      expect(() => lab.reserve('stardust', 1, '')).toThrow(TypeError);
+      expect(() => lab.reserve('ruby', 1, 'PO-2')).toThrow(ReferenceError);
+      expect(() => lab.release('PO-2')).toThrow(ReferenceError);
+      expect(() => lab.release('PO-1', 'moonwater')).toThrow(ReferenceError);
+      expect(() => lab.fulfil('PO-2')).toThrow(ReferenceError);
+      expect(() => lab.make('elixir', 1, { orderId: 7 })).toThrow(TypeError);
+    });
+
+    test('fromJSON rejects reservations larger than the stock', () => {
+      const data = createLab().toJSON();
+
+      expect(() =>
+        Laboratory.fromJSON({
+          ...data,
+          reservations: { 'PO-1': { stardust: 11 } },
+        }),
+      ).toThrow(RangeError);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { Rational } = require('../src/rational');
+
+describe('Rational', () => {
+  test('normalizes numerator and denominator', () => {
+    const value = new Rational(6n, -4n);
+
+    expect([value.numerator, value.denominator]).toEqual([-3n, 2n]);
+    expect(() => new Rational(1n, 0n)).toThrow(RangeError);
+    expect(() => new Rational(1, 2)).toThrow(TypeError);
+  });
+
+  test('converts numbers through their decimal representation', () => {
+    expect(Rational.from(0.1).toFraction()).toBe('1/10');
+    expect(Rational.from(1.5e-7).toFraction()).toBe('3/20000000');
+    expect(Rational.from('2.50').toFraction()).toBe('5/2');
+    expect(Rational.from(' 4 / 6 ').toFraction()).toBe('2/3');
+    expect(() => Rational.from(NaN)).toThrow(TypeError);
+    expect(() => Rational.from('1/3 cup')).toThrow(TypeError);
+  });
+
+  test('recovers simple fractions from floating-point approximations', () => {
+    expect(Rational.approximate(1 / 3, 1e-9).toFraction()).toBe('1/3');
+    expect(Rational.approximate(-22 / 7, 1e-9).toFraction()).toBe('-22/7');
+    expect(Rational.approximate(2.5, 1e-9).toFraction()).toBe('5/2');
+    expect(Rational.approximate(0, 1e-9).toFraction()).toBe('0');
+    expect(Rational.approximate(Math.PI, 1e-2).toFraction()).toBe('22/7');
+    expect(() => Rational.approximate(Infinity, 1e-9)).toThrow(TypeError);
+  });
+
+  test('computes exactly', () => {
+    const third = Rational.from('1/3');
+
+    expect(third.add(third).add(third).toFraction()).toBe('1');
+    expect(Rational.from(0.1).add(0.2).equals(0.3)).toBe(true);
+    expect(third.subtract(1).multiply('3/2').toFraction()).toBe('-1');
+    expect(third.divide(third).toFraction()).toBe('1');
+    expect(() => third.divide(0)).toThrow(RangeError);
+    expect(third.compare(0.3)).toBe(1);
+  });
+
+  test('exports numbers, fractions and rounded decimals', () => {
+    expect(Rational.from('2/3').toNumber()).toBe(2 / 3);
+    expect(Rational.from('2/3').toDecimal(5)).toBe('0.66667');
+    expect(Rational.from('-1/8').toDecimal()).toBe('-0.125');
+    expect(Rational.from('-1/3').toDecimal(0)).toBe('0');
+    expect(new Rational(10n ** 30n, 3n).toNumber()).toBeCloseTo(1e30 / 3, -15);
+    expect(JSON.stringify({ value: Rational.from('1/3') })).toBe(
+      '{"value":"1/3"}',
+    );
+  });
+});
@@ -0,0 +1,241 @@
+const { parseRecipes, formatRecipes } = require('../src/recipeDsl');
+const { RecipeSyntaxError } = require('../src/errors');
+
+describe('Recipe text parsing', () => {
+  test('parses reactions with comments, multi-word names and decimals', () => {
+    const text = [
+      '# base potions',
+      'elixir = 2 star dust + 1 moon water',
+      '',
+      'potion = elixir + .5 star dust   # quantity defaults to 1',
+    ].join('\n');
+
+    expect(parseRecipes(text)).toEqual({
+      substances: ['star dust', 'moon water'],
+      reactions: {
+        elixir: [
+          [2, 'star dust'],
+          [1, 'moon water'],
+        ],
+        potion: [
+          [1, 'elixir'],
+          [0.5, 'star dust'],
+        ],
+      },
+      locations: {
+        elixir: { line: 2, column: 1 },
+        potion: { line: 4, column: 1 },
+      },
+    });
+  });
+
+  test('parses declared substances, catalysts, outputs, options and alternatives', () => {
+    const text = [
+      'substances: Sunlight',
+      'wine [fast] = 1 sugar with 0.1 enzyme (efficiency 0.85, cost 2)',
+      'wine [slow] = 2 sugar',
+      '2 metal + 0.5 slag = 2 ore',
+    ].join('\n');
+
+    expect(parseRecipes(text)).toMatchObject({
+      substances: ['Sunlight', 'sugar', 'enzyme', 'slag', 'ore'],
+      reactions: {
+        wine: {
+          recipes: {
+            fast: {
+              reagents: [
+                [1, 'sugar'],
+                [0.1, 'enzyme', 'catalyst'],
+              ],
+              efficiency: 0.85,
+              processingCost: 2,
+            },
+            slow: [[2, 'sugar']],
+          },
+        },
+        metal: {
+          reagents: [[2, 'ore']],
+          outputs: [
+            [2, 'metal'],
+            [0.5, 'slag'],
+          ],
+        },
+      },
+    });
+  });
+
+  test('parses quantities with units of measure', () => {
+    const text = [
+      'dough = 250 g flour + 1 unit egg + 2 g',
+      'cake = 1 dough with 1 oven',
+    ].join('\n');
+
+    expect(parseRecipes(text)).toMatchObject({
+      substances: ['flour', 'egg', 'g', 'oven'],
+      reactions: {
+        dough: [
+          ['250 g', 'flour'],
+          ['1 unit', 'egg'],
+          [2, 'g'],
+        ],
+        cake: [
+          [1, 'dough'],
+          [1, 'oven', 'catalyst'],
+        ],
+      },
+    });
+  });
+
+  test('keeps fractions exact', () => {
+    expect(
+      parseRecipes('elixir = 1/3 star dust + 2 moon water (efficiency 1/2)')
+        .reactions,
+    ).toEqual({
+      elixir: {
+        reagents: [
+          ['1/3', 'star dust'],
+          [2, 'moon water'],
+        ],
+        efficiency: 0.5,
+      },
+    });
+  });
+
+  describe('error handling', () => {
+    const errorAt = (text) => {
+      try {
+        parseRecipes(text);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    test('reports syntax errors with line and column numbers', () => {
+      const error = errorAt('elixir = 2 stardust\npotion = 1 elixir +');
+
+      expect(error).toBeInstanceOf(RecipeSyntaxError);
+      expect(error).toBeInstanceOf(SyntaxError);
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(20);
+      expect(error.message).toBe(
+        'Expected a substance name but found end of line (line 2, column 20)',
+      );
+    });
+
+    test.each([
+      ['gem = ', 'Reaction must list at least one reagent', 1, 5],
+      ['gem [cut = 1 ruby', 'Expected "]" but found "="', 1, 10],
+      ['gem = 1 ruby (speed 2)', 'Unknown reaction option: speed', 1, 15],
+      ['gem = 1 ruby (cost)', 'Expected a number after cost', 1, 19],
+      ['gem = 1 ruby\ngem = 2 ruby', 'already defined on line 1', 2, 1],
+      ['gem [a] = 1 ruby\ngem [A] = 2 ruby', 'Duplicate recipe name', 2, 6],
+      ['substances: gem\ngem = 1 ruby', 'produced by a reaction', 1, 13],
+      ['gem = 1 ruby = 2', 'Expected end of line but found "="', 1, 14],
+    ])('rejects %j', (text, message, line, column) => {
+      const error = errorAt(text);
+
+      expect(error).toBeInstanceOf(RecipeSyntaxError);
+      expect(error.message).toContain(message);
+      expect([error.line, error.column]).toEqual([line, column]);
+    });
+
+    test('rejects non-string input', () => {
+      expect(() => parseRecipes(null)).toThrow(TypeError);
+    });
+  });
+});
+
+describe('Recipe text formatting', () => {
+  test('writes recipes back to the text format', () => {
+    const text = formatRecipes({
+      substances: ['star dust', 'enzyme', 'slag', 'ore'],
+      reactions: {
+        elixir: [
+          [2, 'star dust'],
+          [1, 'enzyme', 'catalyst'],
+        ],
+        metal: {
+          reagents: [[2, 'ore']],
+          outputs: [
+            [0.5, 'slag'],
+            [2, 'metal'],
+          ],
+          efficiency: 0.5,
+        },
+        potion: { recipes: { fast: [[1, 'elixir']] } },
+      },
+    });
+
+    expect(text).toBe(
+      [
+        'substances: star dust, enzyme, slag, ore',
+        'elixir = 2 star dust with 1 enzyme',
+        '2 metal + 0.5 slag = 2 ore (efficiency 0.5)',
+        'potion [fast] = 1 elixir',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('round-trips through the parser', () => {
+    const text = [
+      'substances: sunlight',
+      'wine [fast] = 1 sugar with 0.1 enzyme (efficiency 0.85, cost 2)',
+      'wine [slow] = 2 sugar',
+      '2 metal + 0.5 slag = 2 ore',
+    ].join('\n');
+    const parsed = parseRecipes(text);
+    const formatted = formatRecipes(parsed);
+
+    expect(formatted.split('\n')[0]).toBe(
+      'substances: sunlight, sugar, enzyme, slag, ore',
+    );
+    expect(parseRecipes(formatted).reactions).toEqual(parsed.reactions);
+    expect(formatRecipes(parseRecipes(formatted))).toBe(formatted);
+  });
+
+  test('writes quantities with units of measure', () => {
+    const text = formatRecipes({
+      reactions: {
+        dough: [
+          ['250 g', 'flour'],
+          [{ value: 0.3, unit: 'l' }, 'milk'],
+          ['2dozen', 'egg'],
+        ],
+      },
+    });
+
+    expect(text).toBe('dough = 250 g flour + 0.3 L milk + 2 dozen egg\n');
+    expect(parseRecipes(text).reactions.dough).toEqual([
+      ['250 g', 'flour'],
+      ['0.3 L', 'milk'],
+      ['2 dozen', 'egg'],
+    ]);
+    expect(() =>
+      formatRecipes({ reactions: { dough: [['250 furlong', 'flour']] } }),
+    ).toThrow(RangeError);
+    expect(() =>
+      formatRecipes({ reactions: { dough: [[2, 'g flour']] } }),
+    ).toThrow(RangeError);
+  });
+
+  test('writes fractions', () => {
+    const text = formatRecipes({
+      reactions: { elixir: [['1/3', 'star dust']] },
+    });
+
+    expect(text).toBe('elixir = 1/3 star dust\n');
+    expect(parseRecipes(text).reactions.elixir).toEqual([['1/3', 'star dust']]);
+  });
+
+  test('rejects names that cannot be written', () => {
+    expect(() => formatRecipes({ substances: ['salt + pepper'] })).toThrow(
+      RangeError,
+    );
+    expect(() => formatRecipes({ substances: ['salt with pepper'] })).toThrow(
+      RangeError,
+    );
+    expect(() => formatRecipes({ substances: ['42'] })).toThrow(RangeError);
+  });
+});
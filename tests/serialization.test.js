@@ -0,0 +1,64 @@
+const {
+  LABORATORY_FORMAT,
+  LABORATORY_FORMAT_VERSION,
+  migrateLaboratoryData,
+} = require('../src/serialization');
+
+describe('Laboratory data migrations', () => {
+  const createData = (version) => ({
+    format: LABORATORY_FORMAT,
+    version,
+    substances: ['stardust'],
+    reactions: {},
+    inventory: { stardust: 1 },
+  });
+
+  test('returns current documents unchanged', () => {
+    const data = createData(LABORATORY_FORMAT_VERSION);
+    expect(migrateLaboratoryData(data)).toBe(data);
+  });
+
+  test('migrates version 1 stock into one lot per substance', () => {
+    const migrated = migrateLaboratoryData({
+      ...createData(1),
+      inventory: { stardust: 1, moonwater: 0, gem: '1/3' },
+    });
+
+    expect(migrated.version).toBe(2);
+    expect(migrated.lots).toEqual([
+      {
+        id: 'stardust-1',
+        substance: 'stardust',
+        quantity: 1,
+        remaining: 1,
+        receivedAt: null,
+        expiresAt: null,
+        parents: [],
+      },
+      {
+        id: 'gem-2',
+        substance: 'gem',
+        quantity: '1/3',
+        remaining: '1/3',
+        receivedAt: null,
+        expiresAt: null,
+        parents: [],
+      },
+    ]);
+  });
+
+  test('rejects documents from a newer format version', () => {
+    expect(() =>
+      migrateLaboratoryData(createData(LABORATORY_FORMAT_VERSION + 1)),
+    ).toThrow(RangeError);
+  });
+
+  test('rejects unknown formats and invalid versions', () => {
+    expect(() => migrateLaboratoryData([])).toThrow(TypeError);
+    expect(() =>
+      migrateLaboratoryData({ ...createData(1), format: 'other' }),
+    ).toThrow(TypeError);
+    expect(() => migrateLaboratoryData(createData(0))).toThrow(TypeError);
+    expect(() => migrateLaboratoryData(createData('1'))).toThrow(TypeError);
+  });
+});
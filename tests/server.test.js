@@ -0,0 +1,176 @@
+const { Laboratory } = require('../src/Laboratory');
+const { createLabServer } = require('../src/server');
+
+describe('lab HTTP server', () => {
+  let lab;
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    lab = new Laboratory(
+      ['stardust', 'moonwater'],
+      { stardust: 10, moonwater: 5 },
+      {
+        elixir: [
+          [2, 'stardust'],
+          [1, 'moonwater'],
+        ],
+      },
+    );
+    server = createLabServer(lab);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('GET /substances/:name returns the stock of a substance', async () => {
+    expect(await request('GET', '/substances/stardust')).toEqual({
+      status: 200,
+      body: { substance: 'stardust', quantity: 10 },
+    });
+  });
+
+  test('POST /substances/:name/add adds stock', async () => {
+    expect(
+      await request('POST', '/substances/moonwater/add', { quantity: 2.5 }),
+    ).toEqual({ status: 200, body: { substance: 'moonwater', quantity: 7.5 } });
+    expect(lab.getQuantity('moonwater')).toBe(7.5);
+  });
+
+  test('POST /products/:name/make returns a production report', async () => {
+    const { status, body } = await request('POST', '/products/elixir/make', {
+      quantity: 3,
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ product: 'elixir', quantity: 3 });
+    expect(lab.getQuantity('elixir')).toBe(3);
+  });
+
+  test('GET /inventory and GET /graph describe the whole lab', async () => {
+    expect((await request('GET', '/inventory')).body).toEqual({
+      stardust: 10,
+      moonwater: 5,
+      elixir: 0,
+    });
+    expect((await request('GET', '/graph')).body).toEqual(
+      lab.getReactionGraph(),
+    );
+    expect((await request('GET', '/graph?format=mermaid')).body).toEqual({
+      text: lab.exportGraph('mermaid'),
+    });
+  });
+
+  test('orders reserve stock that other make requests cannot use', async () => {
+    expect(
+      await request('POST', '/orders/PO-1/reserve', {
+        substance: 'stardust',
+        quantity: 6,
+      }),
+    ).toEqual({
+      status: 200,
+      body: { orderId: 'PO-1', substance: 'stardust', reserved: 6 },
+    });
+    expect((await request('GET', '/substances/stardust/stock')).body).toEqual({
+      substance: 'stardust',
+      onHand: 10,
+      reserved: 6,
+      available: 4,
+    });
+
+    const { body } = await request('POST', '/products/elixir/make', {
+      quantity: 3,
+    });
+    expect(body.quantity).toBe(2);
+
+    expect((await request('POST', '/orders/PO-1/fulfil')).body).toEqual({
+      orderId: 'PO-1',
+      fulfilled: { stardust: 6 },
+    });
+    expect(lab.getQuantity('stardust')).toBe(0);
+    expect((await request('POST', '/orders/PO-1/release')).status).toBe(404);
+  });
+
+  test('concurrent make requests are processed one at a time', async () => {
+    const responses = await Promise.all(
+      [1, 2, 3, 4].map(() =>
+        request('POST', '/products/elixir/make', { quantity: 2, atomic: true }),
+      ),
+    );
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([
+      200, 200, 409, 409,
+    ]);
+    expect(lab.toJSON().inventory).toEqual({
+      stardust: 2,
+      moonwater: 1,
+      elixir: 4,
+    });
+  });
+
+  describe('errors', () => {
+    test('invalid input maps to 400', async () => {
+      expect(
+        await request('POST', '/substances/stardust/add', { quantity: 'a' }),
+      ).toEqual({
+        status: 400,
+        body: {
+          error: {
+            type: 'TypeError',
+            message: expect.any(String),
+          },
+        },
+      });
+      expect(
+        (await request('POST', '/substances/stardust/add', '{"quantity":'))
+          .status,
+      ).toBe(400);
+    });
+
+    test('out-of-range requests map to 409 with error details', async () => {
+      const { status, body } = await request('POST', '/products/elixir/make', {
+        quantity: 6,
+        atomic: true,
+      });
+
+      expect(status).toBe(409);
+      expect(body.error).toMatchObject({
+        type: 'InsufficientStockError',
+        substance: 'elixir',
+        requested: 6,
+        available: 5,
+        report: { product: 'elixir', requested: 6 },
+      });
+      expect(lab.getQuantity('elixir')).toBe(0);
+    });
+
+    test('unknown substances and routes map to 404', async () => {
+      expect(await request('GET', '/substances/ruby')).toEqual({
+        status: 404,
+        body: {
+          error: { type: 'ReferenceError', message: expect.any(String) },
+        },
+      });
+      expect((await request('GET', '/reactions')).status).toBe(404);
+    });
+
+    test('unsupported methods map to 405', async () => {
+      const response = await fetch(`${baseUrl}/inventory`, { method: 'POST' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('allow')).toBe('GET');
+    });
+  });
+});
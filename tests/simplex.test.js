@@ -0,0 +1,73 @@
+const { solveLinearProgram } = require('../src/simplex');
+
+describe('Linear program solver', () => {
+  test('maximizes the objective under upper-bound constraints', () => {
+    const result = solveLinearProgram({
+      objective: [3, 5],
+      constraints: [
+        { coefficients: [1, 0], operator: '<=', value: 4 },
+        { coefficients: [0, 2], operator: '<=', value: 12 },
+        { coefficients: [3, 2], operator: '<=', value: 18 },
+      ],
+    });
+
+    expect(result.status).toBe('optimal');
+    expect(result.value).toBeCloseTo(36, 9);
+    expect(result.solution[0]).toBeCloseTo(2, 9);
+    expect(result.solution[1]).toBeCloseTo(6, 9);
+  });
+
+  test('handles lower bounds, equalities and negative right-hand sides', () => {
+    const result = solveLinearProgram({
+      objective: [1, 1],
+      constraints: [
+        { coefficients: [1, 1], operator: '<=', value: 10 },
+        { coefficients: [1], operator: '>=', value: 2 },
+        { coefficients: [0, 1], operator: '=', value: 3 },
+        { coefficients: [1, -1], operator: '<=', value: -1 },
+      ],
+    });
+
+    expect(result.status).toBe('optimal');
+    expect(result.value).toBeCloseTo(5, 9);
+    expect(result.solution[0]).toBeCloseTo(2, 9);
+    expect(result.solution[1]).toBeCloseTo(3, 9);
+  });
+
+  test('reports infeasible and unbounded programs', () => {
+    expect(
+      solveLinearProgram({
+        objective: [1],
+        constraints: [
+          { coefficients: [1], operator: '<=', value: 1 },
+          { coefficients: [1], operator: '>=', value: 2 },
+        ],
+      }),
+    ).toEqual({ status: 'infeasible', value: null, solution: null });
+    expect(
+      solveLinearProgram({
+        objective: [1, 0],
+        constraints: [{ coefficients: [1, -1], operator: '<=', value: 1 }],
+      }),
+    ).toEqual({ status: 'unbounded', value: null, solution: null });
+  });
+
+  describe('error handling', () => {
+    test('rejects malformed programs', () => {
+      expect(() => solveLinearProgram(null)).toThrow(TypeError);
+      expect(() => solveLinearProgram({ objective: [NaN] })).toThrow(TypeError);
+      expect(() =>
+        solveLinearProgram({
+          objective: [1],
+          constraints: [{ coefficients: [1, 1], operator: '<=', value: 1 }],
+        }),
+      ).toThrow(RangeError);
+      expect(() =>
+        solveLinearProgram({
+          objective: [1],
+          constraints: [{ coefficients: [1], operator: '<', value: 1 }],
+        }),
+      ).toThrow(RangeError);
+    });
+  });
+});
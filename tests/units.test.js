@@ -0,0 +1,45 @@
+const {
+  resolveUnit,
+  parseQuantityWithUnit,
+  convertQuantity,
+} = require('../src/units');
+
+describe('units', () => {
+  test('resolves unit symbols case-insensitively', () => {
+    expect(resolveUnit('ml')).toEqual({
+      symbol: 'mL',
+      dimension: 'volume',
+      factor: 1,
+    });
+    expect(() => resolveUnit('furlong')).toThrow(RangeError);
+    expect(() => resolveUnit(3)).toThrow(TypeError);
+  });
+
+  test('parses quantities written as strings or objects', () => {
+    expect(parseQuantityWithUnit('250 g')).toEqual({
+      value: 250,
+      unit: resolveUnit('g'),
+    });
+    expect(parseQuantityWithUnit('1.5e3mg').value).toBe(1500);
+    expect(parseQuantityWithUnit({ value: 0.5, unit: 'L' })).toEqual({
+      value: 0.5,
+      unit: resolveUnit('L'),
+    });
+    expect(() => parseQuantityWithUnit('250')).toThrow(TypeError);
+    expect(() => parseQuantityWithUnit({ value: Infinity, unit: 'g' })).toThrow(
+      TypeError,
+    );
+  });
+
+  test('converts within a dimension only', () => {
+    expect(convertQuantity(250, resolveUnit('g'), resolveUnit('kg'))).toBe(
+      0.25,
+    );
+    expect(convertQuantity(2, resolveUnit('dozen'), resolveUnit('unit'))).toBe(
+      24,
+    );
+    expect(() =>
+      convertQuantity(1, resolveUnit('L'), resolveUnit('kg')),
+    ).toThrow(TypeError);
+  });
+});